@@ -1,6 +1,8 @@
 import React from 'react'
 import styled from 'styled-components'
 import { Link, withRouter } from 'react-router-dom'
+import { usePreloadFrontloads } from '../src'
+import TodosPage from './TodosPage'
 
 const MenuContainer = styled.div`
   margin-bottom: 16px;
@@ -29,20 +31,27 @@ const Button = styled.div`
   }
 `
 
-const Menu = (props) => (
-  <MenuContainer>
-    <a className='first' href='/server-render'>
-      <Button active={props.location.pathname === '/server-render'}>
-        server rendered todos
-      </Button>
-    </a>
-    <Link to='/no-server-render'>
-      <Button active={props.location.pathname === '/no-server-render'}>
-        non server rendered todos
-      </Button>
-    </Link>
-  </MenuContainer>
-)
+const Menu = (props) => {
+  const preloadFrontloads = usePreloadFrontloads()
+
+  // start loading the todos as soon as the link is hovered, rather than once their page has mounted
+  const preloadTodos = () => preloadFrontloads(<TodosPage.NoServerRender stateManager={props.stateManager} />)
+
+  return (
+    <MenuContainer>
+      <a className='first' href='/server-render'>
+        <Button active={props.location.pathname === '/server-render'}>
+          server rendered todos
+        </Button>
+      </a>
+      <Link to='/no-server-render' onMouseEnter={preloadTodos}>
+        <Button active={props.location.pathname === '/no-server-render'}>
+          non server rendered todos
+        </Button>
+      </Link>
+    </MenuContainer>
+  )
+}
 
 const Container = styled.div`
   padding: 16px 16px 0;
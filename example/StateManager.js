@@ -1,7 +1,8 @@
 import React from 'react'
-import { withRouter } from 'react-router-dom'
 
-const cleanState = () => ({ todos: null, todo: null })
+// the todos are kept by id, and the state is kept across route changes, so that the data
+// preloaded for a page before navigating to it is still there once the page mounts
+const cleanState = () => ({ todos: null, todo: {} })
 
 class Client extends React.Component {
   constructor (props) {
@@ -16,24 +17,11 @@ class Client extends React.Component {
     this.setState({ [key]: value })
   }
 
-  componentDidUpdate (prevProps) {
-    const oldPath = prevProps.location.pathname
-    const newPath = this.props.location.pathname
-
-    if (oldPath !== newPath) {
-      console.log(`[example app] route changed ${oldPath} > ${newPath} - state cleared`)
-
-      this.setState(cleanState())
-    }
-  }
-
   render () {
     return this.props.children({ get: this.get, set: this.set })
   }
 }
 
-const StateManagerClient = withRouter(Client)
-
 const StateManagerServer = () => {
   const state = cleanState()
 
@@ -46,6 +34,6 @@ const StateManagerServer = () => {
 }
 
 export default {
-  Client: StateManagerClient,
+  Client,
   Server: StateManagerServer
 }
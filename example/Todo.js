@@ -35,7 +35,7 @@ const TodoNonLink = styled.div`
 const Presentation = (props) => {
   if (props.link) {
     return (
-      <TodoLink to={`${props.location.pathname}/${props.todo.id}`}>
+      <TodoLink to={`${props.location.pathname}/${props.todo.id}`} onMouseEnter={props.onMouseEnter}>
         {props.todo.text}
       </TodoLink>
     )
@@ -13,7 +13,7 @@ import StateManager from './StateManager'
 import Layout from './Layout'
 
 const Routes = ({ stateManager }) => (
-  <Layout>
+  <Layout stateManager={stateManager}>
     <Switch>
       <Route
         path='/server-render/:id?'
@@ -42,8 +42,8 @@ const Routes = ({ stateManager }) => (
   </Layout>
 )
 
-const App = ({ stateManager, initialState }) => (
-  <Frontload log>
+const App = ({ stateManager, initialState, frontloadManifest }) => (
+  <Frontload log manifest={frontloadManifest}>
     {stateManager
       ? (
         <Routes stateManager={stateManager} />
@@ -57,7 +57,7 @@ const App = ({ stateManager, initialState }) => (
 
 const Client = (props) => (
   <BrowserRouter>
-    <App initialState={props.initialState} />
+    <App initialState={props.initialState} frontloadManifest={props.frontloadManifest} />
   </BrowserRouter>
 )
 
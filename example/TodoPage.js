@@ -5,7 +5,7 @@ import Todo from './Todo'
 import Loader from './Loader'
 
 const Presentation = (props) => {
-  const todo = props.stateManager.get().todo
+  const todo = props.stateManager.get().todo[props.todoId]
 
   return (
     <div>
@@ -21,17 +21,30 @@ const frontload = (props) =>
   todoClient
     .get(props.todoId)
     .then((todo) => {
-      props.stateManager.set('todo', todo)
+      props.stateManager.set('todo', Object.assign({}, props.stateManager.get().todo, { [props.todoId]: todo }))
     })
 
+// load the todo again when navigating from one todo to another, but not on any other update
+const shouldReload = (prevProps, nextProps) => prevProps.todoId !== nextProps.todoId
+
+// the stateManager prop is a new object on every render, so without a key, the page mounting would
+// not match the call preloaded when its link was hovered, and would load the todo again
+const key = (props) => `todo:${props.todoId}`
+
 const ServerRender = frontloadConnect(
-  frontload // no options needed, defaults are fine
+  frontload,
+  {
+    key,
+    shouldReload
+  }
 )(Presentation)
 
 const NoServerRender = frontloadConnect(
   frontload,
   {
-    noServerRender: true // tell react-frontload that the data was not loaded on the server, so that it loads when the component mounts
+    noServerRender: true, // tell react-frontload that the data was not loaded on the server, so that it loads when the component mounts
+    key,
+    shouldReload
   }
 )(Presentation)
 
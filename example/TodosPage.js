@@ -2,14 +2,16 @@ import React from 'react'
 import { frontloadConnect } from '../src'
 import * as todoClient from './todoClient'
 import Todo from './Todo'
+import TodoPage from './TodoPage'
 import Loader from './Loader'
 
-const TodosList = ({ todos }) => (
+const TodosList = ({ todos, preloadTodo }) => (
   <div>
     {todos.map(todo => (
       <Todo
         key={todo.id}
         todo={todo}
+        onMouseEnter={() => preloadTodo(todo.id)}
         link
       />
     ))}
@@ -19,10 +21,16 @@ const TodosList = ({ todos }) => (
 const Presentation = (props) => {
   const todos = props.stateManager.get().todos
 
+  // start loading a todo as soon as its link is hovered, so that it is often ready by the time its page mounts.
+  // Both versions of the page load the todo with the same frontload fn, so either can be preloaded here
+  const preloadTodo = (todoId) => props.preloadFrontloads(
+    <TodoPage.NoServerRender stateManager={props.stateManager} todoId={todoId} />
+  )
+
   return (
     <div>
       {todos
-        ? <TodosList todos={todos} />
+        ? <TodosList todos={todos} preloadTodo={preloadTodo} />
         : <Loader text='Loading todos' />
       }
     </div>
@@ -37,14 +45,19 @@ const frontload = (props) => (
     })
 )
 
+// keyed like the todo page, so that the page mounting matches the call preloaded from the menu
 const ServerRender = frontloadConnect(
-  frontload // no options needed, defaults are fine
+  frontload,
+  {
+    key: 'todos'
+  }
 )(Presentation)
 
 const NoServerRender = frontloadConnect(
   frontload,
   {
-    noServerRender: true // tell react-frontload that the data was not loaded on the server, so that it loads when the component mounts
+    noServerRender: true, // tell react-frontload that the data was not loaded on the server, so that it loads when the component mounts
+    key: 'todos'
   }
 )(Presentation)
 
@@ -7,4 +7,4 @@ console.log('\n\n--- react-frontload example application ---\n\n')
 
 const root = document.getElementById('app-root')
 
-render(<TodoApp.Client initialState={window.initialState} />, root)
+render(<TodoApp.Client initialState={window.initialState} frontloadManifest={window.frontloadManifest} />, root)
@@ -22,11 +22,12 @@ app.get('/client.bundle.js', (req, res) => {
 const toSanitizedJSONString = (obj) =>
   serializeJavascript(obj, { isJSON: true })
 
-const buildHtml = (serverRenderedMarkup, styleTags, initialState) => `
+const buildHtml = (serverRenderedMarkup, styleTags, initialState, frontloadManifest) => `
   <html>
   <head>
     <title>react-frontload example</title>
     ${initialState ? `<script>window.initialState=${toSanitizedJSONString(initialState)}</script>` : ''}
+    ${frontloadManifest ? `<script>window.frontloadManifest=${toSanitizedJSONString(frontloadManifest)}</script>` : ''}
     ${styleTags || ''}
   </head>
   <body>
@@ -42,32 +43,33 @@ app.get('/server-render*', async (req, res) => {
   const stateManager = StateManager.Server()
   const sheet = new ServerStyleSheet()
 
-  // this is the ordinary synchronous server rendering logic every app should have, wrapped in a function
-  const renderMarkup = (dryRun) => {
-    console.log(dryRun
-      ? `[example app] ${location} - loading data...`
-      : `[example app] ${location} - all data loaded, rendering markup...`
-    )
-
-    const app = <TodoApp.Server
+  const buildApp = () => (
+    <TodoApp.Server
       location={location}
       routerContext={routerContext}
       stateManager={stateManager}
     />
+  )
 
-    const serverRenderedMarkup = dryRun
-      ? renderToString(app)
-      : renderToString(sheet.collectStyles(app))
+  // this is the ordinary synchronous server rendering logic every app should have, wrapped in a function
+  const renderMarkup = (dryRun) => {
+    console.log(`[example app] ${location} - all data loaded, rendering markup...`)
 
-    return serverRenderedMarkup
+    return renderToString(sheet.collectStyles(buildApp()))
   }
 
   console.log(`[example app] ${location} - starting server render`)
   const start = Date.now()
 
-  // to enable async server render via react-frontload, just wrap your server render function with frontloadServerRender
-  const serverRenderedMarkup = await frontloadServerRender(renderMarkup)
+  // to enable async server render via react-frontload, just wrap your server render function with frontloadServerRender.
+  // The data is loaded by walking the app's element tree, so that renderMarkup is only called for the final render
+  console.log(`[example app] ${location} - loading data...`)
+  const { rendered: serverRenderedMarkup, errors, manifest } = await frontloadServerRender(renderMarkup, { walk: buildApp, withResult: true })
   const end = Date.now()
+
+  errors.forEach(({ componentDisplayName, error }) => {
+    console.log(`[example app] ${location} - frontload fn failed for component ${componentDisplayName}`, error)
+  })
   const redirect = routerContext.url
 
   if (redirect) {
@@ -77,7 +79,8 @@ app.get('/server-render*', async (req, res) => {
   } else {
     console.log(`[example app] ${location} - completed server render in ${end - start}ms`)
 
-    res.status(200).send(buildHtml(serverRenderedMarkup, sheet.getStyleTags(), stateManager.get()))
+    // the manifest lets the client run the frontload fns which failed here again
+    res.status(200).send(buildHtml(serverRenderedMarkup, sheet.getStyleTags(), stateManager.get(), manifest))
   }
 })
 
@@ -0,0 +1,2 @@
+// the react-frontload/redux entry point, built from src/redux.js
+module.exports = require('./lib/redux')
@@ -0,0 +1,33 @@
+// the built-in store for the frontloadServerRender cache, an in-memory LRU.
+// Like any store plugged into the cache, it implements get(key), returning the entry
+// stored under key if there is one, and set(key, entry, maxAge), storing entry under key
+// for maxAge ms. Either may also return a promise, for stores which are async.
+// Once there are more than max entries stored, the least recently used one is evicted
+export const createLRUCache = ({ max = 500 } = {}) => {
+  // a Map iterates in insertion order, so re-inserting an entry on every get
+  // keeps the least recently used one first
+  const entries = new Map()
+
+  return {
+    get: (key) => {
+      const stored = entries.get(key)
+      if (!stored) return
+
+      entries.delete(key)
+      if (stored.expiresAt <= Date.now()) return
+
+      entries.set(key, stored)
+
+      return stored.entry
+    },
+    set: (key, entry, maxAge) => {
+      entries.delete(key)
+      entries.set(key, { entry, expiresAt: Date.now() + maxAge })
+
+      if (entries.size > max) entries.delete(entries.keys().next().value)
+    },
+    get size () {
+      return entries.size
+    }
+  }
+}
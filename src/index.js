@@ -1,35 +1,105 @@
 import React from 'react'
-import PropTypes from 'prop-types'
+import { walkTree } from './walk'
+import { serializeForScript } from './serialize'
+
+export { createLRUCache } from './cache'
 
 const LIFECYCLE_PHASES = {
   MOUNT: 0,
-  UPDATE: 1
+  UPDATE: 1,
+  RELOAD: 2, // reloadFrontload called on the client
+  POLL: 3, // every pollInterval on the client
+  PRELOAD: 4 // preloadFrontloads called on the client, ahead of the mount
 }
 
-const FRONTLOAD_QUEUES = {}
+const LIFECYCLE_PHASE_NAMES = ['mount', 'update', 'reload', 'poll', 'preload']
+
+// how long a preloaded frontload call is used by the component mounting, instead of running it again
+const DEFAULT_PRELOAD_MAX_AGE = 30 * 1000
+
+// provided by Frontload, consumed by frontloadConnect and useFrontload
+const FrontloadContext = React.createContext(null)
+
+const FRONTLOAD_RENDER_CONTEXTS = {}
 const ASYNC_CONTEXTS = {}
 
-const log = (process.env.NODE_ENV !== 'production') && ((name, message) => {
-  console.log(`[react-frontload]${name ? ` [${name}]` : ''} ${message}`)
-})
+// the cache keys of the frontloads being revalidated in the background, after serving stale data
+// from the cache, so that concurrent renders serving the same stale data only revalidate it once.
+// They are held by the cache store they are revalidated for, as another store has its own data
+const REVALIDATING = new WeakMap()
+
+// the component display names the manifest was found not to tell apart, which have been warned of
+const WARNED_AMBIGUOUS_NAMES = []
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+const noop = () => {}
+
+// the logger used when none is configured - the console in development, and a no-op in production
+const DEFAULT_LOGGER = process.env.NODE_ENV !== 'production'
+  ? {
+    debug: (...args) => console.log(...args),
+    info: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+  }
+  : {}
+
+// wraps a logger, which may implement any of the levels debug, info, warn and error, prefixing
+// the messages with the name given. The levels it does not implement do nothing. debug and info
+// messages are only logged withLogging, whereas warn and error messages are always logged
+const createLogger = (logger = DEFAULT_LOGGER, name) => {
+  const prefix = `[react-frontload]${name ? ` [${name}]` : ''} `
+  const wrapped = {}
+
+  map(LOG_LEVELS, (level) => {
+    wrapped[level] = typeof logger[level] === 'function'
+      ? (message, context) => (context === undefined ? logger[level](prefix + message) : logger[level](prefix + message, context))
+      : noop
+  })
+
+  return wrapped
+}
 
 const IS_SERVER =
   typeof window === 'undefined' ||
   !window.document ||
   !window.document.createElement
 
+const isDocumentHidden = () => typeof document !== 'undefined' && !!document.hidden
+
 let asyncHooks
+let asyncIdStorage
 
+// async_hooks is left null on runtimes which do not have it, such as edge and worker runtimes,
+// in which case server renders can only be run with an explicit context.
+//
+// Where AsyncLocalStorage is available, the async id of each render is stored in it, which scopes it to
+// just the async calls made in the render. Otherwise, as a fallback, a hook is installed which copies the
+// async id of its trigger to every async resource created in the whole process, into ASYNC_CONTEXTS, as long as
+// the render it belongs to is still running
 function initAsyncHooks () {
-  if (asyncHooks) {
+  if (asyncHooks !== undefined) {
     return
   }
 
-  asyncHooks = require('async_hooks')
+  try {
+    asyncHooks = require('async_hooks')
+  } catch (error) {}
+
+  if (!asyncHooks || !(asyncHooks.AsyncLocalStorage || asyncHooks.createHook)) {
+    asyncHooks = null
+    return
+  }
+
+  if (asyncHooks.AsyncLocalStorage) {
+    asyncIdStorage = new asyncHooks.AsyncLocalStorage()
+    return
+  }
 
   asyncHooks.createHook({
     init: (asyncId, type, triggerAsyncId) => {
-      if (ASYNC_CONTEXTS[triggerAsyncId]) {
+      if (ASYNC_CONTEXTS[triggerAsyncId] && FRONTLOAD_RENDER_CONTEXTS[ASYNC_CONTEXTS[triggerAsyncId]]) {
         ASYNC_CONTEXTS[asyncId] = ASYNC_CONTEXTS[triggerAsyncId]
       }
     },
@@ -44,21 +114,132 @@ function withAsyncContext (cb) {
   const asyncResource = new asyncHooks.AsyncResource('REQUEST_CONTEXT')
   return asyncResource.runInAsyncScope(() => {
     const asyncId = asyncHooks.executionAsyncId()
+    if (asyncIdStorage) return asyncIdStorage.run(asyncId, () => cb(asyncId))
+
     ASYNC_CONTEXTS[asyncId] = asyncId
 
     return cb(ASYNC_CONTEXTS[asyncId])
   })
 }
 
-function getFrontloadQueuesForCurrentRender () {
-  const currentExecutionAsyncId = asyncHooks.executionAsyncId()
-  const asyncId = ASYNC_CONTEXTS[currentExecutionAsyncId]
+const getAsyncIdForCurrentRender = (currentExecutionAsyncId) => (
+  asyncIdStorage
+    ? asyncIdStorage.getStore()
+    : ASYNC_CONTEXTS[currentExecutionAsyncId]
+)
+
+// the number of server renders run with an explicit context, numbering them in place of an async id
+let explicitRenderCount = 0
+
+// runs a server render with a new render context. By default, the context is registered under the async id of
+// the render, so that the Frontload providers rendered find it through async_hooks. With explicitContext, or
+// where async_hooks is not available, it is not registered anywhere, and the render callback is passed it
+// instead, to pass to the Frontload providers in their context prop
+function withRenderContext (explicitContext, cb) {
+  // this is usually a no-op as async hooks have already been initialised
+  // if IS_SERVER is true, but for tests this won't be the case as jest
+  // provides a window object, so just do this for testing
+  // the production check will ensure gets removed from production builds anyway,
+  // so this while being a hack isn't actually that terrible
+  if (!explicitContext && process.env.NODE_ENV !== 'production') {
+    initAsyncHooks()
+  }
+
+  if (explicitContext || !asyncHooks) {
+    const renderContext = createRenderContext()
+    renderContext.asyncId = ++explicitRenderCount
+
+    return cb(renderContext)
+  }
+
+  return withAsyncContext((asyncId) => {
+    const renderContext = FRONTLOAD_RENDER_CONTEXTS[asyncId] = createRenderContext()
+    renderContext.asyncId = asyncId
+
+    return cb(renderContext)
+  })
+}
+
+// an explicit context is not registered, and its number may be the async id of another render.
+// With the async_hooks fallback, the async resources of the render are otherwise only dropped from
+// ASYNC_CONTEXTS once they are garbage collected, so they are dropped along with the render
+const releaseRenderContext = (renderContext) => {
+  const { asyncId } = renderContext
+  if (FRONTLOAD_RENDER_CONTEXTS[asyncId] !== renderContext) return
+
+  delete FRONTLOAD_RENDER_CONTEXTS[asyncId]
+
+  if (!asyncIdStorage) {
+    const resourceIds = Object.keys(ASYNC_CONTEXTS)
+    for (let i = 0; i < resourceIds.length; i++) {
+      if (ASYNC_CONTEXTS[resourceIds[i]] === asyncId) delete ASYNC_CONTEXTS[resourceIds[i]]
+    }
+  }
+}
+
+// the render context holds all the state for a single frontloadServerRender call,
+// across all of its render passes. Each Frontload provider gets its own queue in
+// queues, at an index which is stable across passes because providerCount is reset
+// at the start of each one. ran holds every frontload already run in this render,
+// errors every error any of them rejected with, and timedOut every one which
+// did not finish before its deadline, which is timeout, the timeout option of the render,
+// after it started. data holds what keyed frontloads resolved with,
+// and deduped counts the keyed frontloads which shared the call of another with the same key.
+// cache is the cache option of frontloadServerRender, if given, and cacheHits counts the
+// keyed frontloads whose data came from it. stream is set when the render is streamed, holding
+// which Frontload subtrees have resolved, and which one the current render is for. limiter is
+// set when the render has a concurrency limit, and limiters holds those of the Frontload providers
+// which have their own, at their queue index. onEvent is the instrumentation callback of the render,
+// passed events tagged with its asyncId. final is set for the renders whose output is used,
+// after which the frontloads queued are never flushed
+const createRenderContext = () => ({
+  asyncId: null,
+  onEvent: null,
+  final: false,
+  queues: [],
+  providerCount: 0,
+  pass: 0,
+  timeout: Infinity,
+  deadline: Infinity,
+  deduped: 0,
+  cache: null,
+  cacheHits: 0,
+  stream: null,
+  limiter: null,
+  limiters: [],
+  withLogging: false,
+  logger: createLogger(),
+  ran: [],
+  errors: [],
+  timedOut: [],
+  data: {}
+})
+
+function getRenderContextForCurrentRender (logger = createLogger()) {
+  if (asyncHooks === null) {
+    const message = 'async_hooks is not available, so a Frontload provider rendered with isServer must be passed the context frontloadServerRender calls its render callback with, in its context prop'
+    logger.error(message, { asyncHooks: false })
+
+    throw Error(message)
+  }
+
+  const currentExecutionAsyncId = asyncHooks ? asyncHooks.executionAsyncId() : undefined
+  const asyncId = asyncHooks && getAsyncIdForCurrentRender(currentExecutionAsyncId)
 
   if (!asyncId) {
+    logger.error(
+      `Could not find async context for current async execution id ${currentExecutionAsyncId}. A Frontload provider rendered with isServer must be rendered within the render callback of frontloadServerRender, or be passed the context the render callback is called with in its context prop`,
+      {
+        executionAsyncId: currentExecutionAsyncId,
+        activeRenders: Object.keys(FRONTLOAD_RENDER_CONTEXTS).length,
+        asyncResources: Object.keys(ASYNC_CONTEXTS).length
+      }
+    )
+
     throw Error('Could not find async context for current async execution id ' + currentExecutionAsyncId)
   }
 
-  return FRONTLOAD_QUEUES[asyncId]
+  return FRONTLOAD_RENDER_CONTEXTS[asyncId]
 }
 
 const map = (arr, fn) => {
@@ -68,6 +249,69 @@ const map = (arr, fn) => {
   return mapped
 }
 
+const filter = (arr, fn) => {
+  const filtered = []
+  for (let i = 0; i < arr.length; i++) if (fn(arr[i], i)) filtered.push(arr[i])
+
+  return filtered
+}
+
+const some = (arr, fn) => {
+  for (let i = 0; i < arr.length; i++) if (fn(arr[i], i)) return true
+
+  return false
+}
+
+const find = (arr, fn) => {
+  for (let i = 0; i < arr.length; i++) if (fn(arr[i], i)) return arr[i]
+}
+
+// children are ignored, since they are new elements on every render
+const shallowEqualProps = (a, b) => {
+  const aKeys = Object.keys(a).filter((key) => key !== 'children')
+  const bKeys = Object.keys(b).filter((key) => key !== 'children')
+
+  return aKeys.length === bKeys.length && !some(aKeys, (key) => a[key] !== b[key])
+}
+
+// the key option is either a string, or a function of props returning one
+const getFrontloadKey = (options, props) => (
+  typeof options.key === 'function'
+    ? options.key(props)
+    : options.key
+)
+
+// the dependsOn option is the keys of the frontloads this one depends on, either as an array,
+// or a function of props returning one
+const getFrontloadDependencies = (options, props) => (
+  (typeof options.dependsOn === 'function'
+    ? options.dependsOn(props)
+    : options.dependsOn) || []
+)
+
+// the data of the frontloads depended on, by key, as passed to the dependent frontload fn
+const pickUpstreamData = (data, dependsOn) => {
+  const upstream = {}
+  for (let i = 0; i < dependsOn.length; i++) upstream[dependsOn[i]] = data[dependsOn[i]]
+
+  return upstream
+}
+
+// across the passes of a multi-pass server render, the same component is rendered
+// (and so queues its frontload) again and again. It is considered to be the same frontload,
+// which must not run twice, if it has the same key, or if unkeyed the same frontload fn at the same position.
+// Props cannot tell unkeyed frontloads apart on the server, as any function prop is new on every render,
+// so they are only compared where there is no position, matching preloaded calls on the client
+const isSameFrontload = (a, b) => (
+  a.key !== undefined
+    ? a.key === b.key
+    : b.key === undefined && a.frontload === b.frontload && (
+      a.position !== undefined
+        ? a.position === b.position
+        : shallowEqualProps(a.props, b.props)
+    )
+)
+
 // util with same behaviour of Promise.all, except it does not short-circuit
 // to catch if one of the promises rejects. It resolves when all the passed promises
 // have either resolved or rejected
@@ -77,217 +321,1735 @@ const waitForAllToComplete = (promises) => (
   )))
 )
 
-function flushQueues (index, options = {}) {
-  const frontloadQueues = getFrontloadQueuesForCurrentRender()
+// records on a preloaded call whether, and how, it has settled, so that a component
+// suspending on it knows whether to render, throw its error, or suspend
+const trackSettled = (preloaded) => {
+  preloaded.promise.then(() => {
+    preloaded.settled = true
+    preloaded.loadedAt = Date.now()
+  }, (error) => {
+    preloaded.settled = true
+    preloaded.error = error
+  })
 
-  if (index === undefined) return Promise.all(map(frontloadQueues, (_, i) => flushQueues(i, options)))
+  return preloaded
+}
 
-  const frontloadPromises = []
-  const queue = frontloadQueues[index]
+// a component shares the in-flight call of a keyed frontload for as long as its own signal is not aborted, on
+// update or unmount, and the call is aborted once none of the components sharing it are left. A call
+// made without a signal, such as a preloaded one, always has a subscriber, so it is never aborted
+const subscribeInFlight = (inFlight, signal) => {
+  inFlight.subscribers++
+  if (!signal) return
 
-  for (let i = 0; i < queue.length; i++) {
-    const frontload = queue[i]
-    if (!options.firstClientRender) {
-      frontloadPromises.push(frontload.fn())
-    } else if (options.noServerRender || frontload.options.noServerRender) {
-      if (process.env.NODE_ENV !== 'production' && !!options.log) {
-        options.log(`[1st client render] NOTE running frontload fn for component [${frontload.componentDisplayName}], since noServerRender === true ${options.noServerRender ? 'globally' : 'for this component'}`)
-      }
+  signal.addEventListener('abort', () => {
+    inFlight.subscribers--
+    if (inFlight.subscribers === 0) inFlight.controller.abort()
+  })
+}
 
-      frontloadPromises.push(frontload.fn())
+// uses the native AbortController where there is one, otherwise
+// falls back to a minimal implementation of the same interface
+const createAbortController = () => {
+  if (typeof AbortController !== 'undefined') return new AbortController()
+
+  const listeners = []
+  const signal = {
+    aborted: false,
+    onabort: null,
+    addEventListener: (type, listener) => {
+      if (type === 'abort') listeners.push(listener)
+    },
+    removeEventListener: (type, listener) => {
+      const index = listeners.indexOf(listener)
+      if (index !== -1) listeners.splice(index, 1)
     }
   }
 
-  frontloadQueues[index] = []
+  return {
+    signal,
+    abort: () => {
+      if (signal.aborted) return
 
-  return waitForAllToComplete(frontloadPromises)
+      signal.aborted = true
+      const event = { type: 'abort', target: signal }
+      if (signal.onabort) signal.onabort(event)
+      map(listeners.slice(), (listener) => listener(event))
+    }
+  }
 }
 
-export class Frontload extends React.Component {
-  static childContextTypes = {
-    frontload: PropTypes.object
+// runs a queued frontload fn, always returning a promise even if the fn throws
+// synchronously or does not return a promise at all
+const runFrontload = (frontload, info) => {
+  try {
+    return Promise.resolve(frontload.fn(info))
+  } catch (error) {
+    return Promise.reject(error)
   }
+}
 
-  getChildContext () {
-    return {
-      frontload: {
-        isServer: this.isServer,
-        firstClientRenderDone: this.isServer
-          ? true
-          : this.firstClientRenderDone,
-        // this does the work of either executing the frontload function on the client,
-        // or pushing it to the queue for eventual execution on the server
-        pushFrontload: (frontload, options, lifecylePhase, childProps, logMessage) => {
-          const isMount = lifecylePhase === LIFECYCLE_PHASES.MOUNT
-          const isUpdate = lifecylePhase === LIFECYCLE_PHASES.UPDATE
-          const noServerRender = this.props.noServerRender || options.noServerRender
-
-          // get the queue, if on the server
-          const queue = this.isServer
-            ? getFrontloadQueuesForCurrentRender()[this.queueIndex]
-            : null
-
-          // if on server, and noServerRender is configured globally or locally
-          // or if the frontload is configured not to run for this lifecycle phase
-          // just do nothing
-          if (
-            (this.isServer && noServerRender) ||
-            (isMount && options.onMount === false) || // onMount default true
-            (isUpdate && !options.onUpdate) // onUpdate default false
-          ) {
-            return
-          }
+const DEFAULT_RETRY_ATTEMPTS = 3
 
-          // if on server -> add frontload to a queue for eventual execution
-          if (this.isServer) {
-            queue.unshift({
-              fn: () => frontload(childProps, { isMount, isUpdate }),
-              options,
-              componentDisplayName: childProps.displayName
-            })
+// 200ms before the 2nd attempt, then doubling up to 5s
+const DEFAULT_RETRY_BACKOFF = (attempt) => Math.min(200 * Math.pow(2, attempt - 1), 5000)
 
-            if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
-              log(this.props.name, `added frontload fn to queue ${logMessage}`)
-            }
-          // if on client -> just execute it immediately, but only after first client render is done if server rendering is enabled
-          } else if (noServerRender || this.firstClientRenderDone) {
-            frontload(childProps, { isMount, isUpdate })
+// the retry option is either the number of attempts, or { attempts, backoff, shouldRetry }
+const getRetryPolicy = (retry) => {
+  const policy = typeof retry === 'number' ? { attempts: retry } : retry
 
-            if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
-              log(this.props.name, `executed frontload fn ${logMessage}`)
-            }
-          // log when frontload is not run on client first render because of server rendering
-          } else if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
-            log(this.props.name, `did not execute frontload fn on first client render ${logMessage}, since server rendering is enabled`)
-          }
-        }
-      }
-    }
+  return {
+    attempts: policy.attempts || DEFAULT_RETRY_ATTEMPTS,
+    backoff: policy.backoff === undefined ? DEFAULT_RETRY_BACKOFF : policy.backoff,
+    shouldRetry: policy.shouldRetry || (() => true)
   }
+}
 
-  constructor (props, context) {
-    super(props, context)
+// calls a frontload fn, and with the retry option, calls it again after a backoff each time it rejects,
+// until it resolves, it has made all its attempts or shouldRetry says the error is not worth retrying.
+// It is not retried once signal is aborted, as its result is no longer wanted. onRetry is called before
+// each retry. Without the retry option, the fn is simply called
+const runWithRetry = (fn, retry, signal, onRetry) => {
+  if (!retry) return fn()
 
-    this.isServer = props.isServer === undefined
-      ? IS_SERVER
-      : props.isServer
+  const { attempts, backoff, shouldRetry } = getRetryPolicy(retry)
 
-    if (this.isServer) {
-      this.queueIndex = getFrontloadQueuesForCurrentRender().push([]) - 1
-    }
+  const attempt = (n) => new Promise((resolve) => resolve(fn())).catch((error) => {
+    if (n >= attempts || (signal && signal.aborted) || !shouldRetry(error, n)) throw error
 
-    // hook for first ever render on client
-    // by default, no frontloads are run on first render, because it is assumed that server rendering is being used
-    // to run all frontloads and fetch data on the server, such that fresh data is available for this first client
-    // render. However, this setup may not be appropriate for every app. We may want to rerun the frontload
-    // functions on the first render on the client for certain, or all, components, for example if server
-    // rendering is not set up at all, or if data may be stale at the time of first client render due to
-    // server-side caching. There are 2 options to configure rerunning the frontload fn(s)
-    // on first render - in a per-frontload option { noServerRender: true }, or in a prop on this
-    // Frontload provider: { noServerRender: true }, which of course enables this for all frontload fns
-    this.componentDidMount = () => {
-      this.firstClientRenderDone = true
+    const delay = typeof backoff === 'function' ? backoff(n) : backoff
+    if (onRetry) onRetry(error, n, delay)
 
-      if (process.env.NODE_ENV !== 'production' && props.withLogging && !props.noServerRender) {
-        log(props.name, '1st client render done, from now on all frontloads will run')
-      }
-    }
+    return new Promise((resolve) => setTimeout(resolve, delay)).then(() => {
+      if (signal && signal.aborted) throw error
+
+      return attempt(n + 1)
+    })
+  })
+
+  return attempt(1)
+}
+
+// passes a frontload fn which has finally failed to the onError prop of the Frontload provider it ran under,
+// so that failures can be reported centrally. An onError which throws is ignored, as for onEvent
+const reportFrontloadError = (onError, logger, error, details) => {
+  if (!onError) return
+
+  try {
+    onError(error, details)
+  } catch (onErrorError) {
+    logger.warn(`onError threw reporting the failure of the frontload fn for component [${details.componentDisplayName}], ignoring it`, { error: onErrorError })
   }
+}
 
-  render () {
-    return React.Children.only(this.props.children)
+// the second argument of a frontload fn on the server, which has the data
+// of the frontloads it depends on, if it depends on any
+const buildServerInfo = (frontload, signal) => (
+  frontload.upstream
+    ? { signal, upstream: frontload.upstream }
+    : { signal }
+)
+
+// reports a structured event to the onEvent option of the server render, if it has one.
+// An onEvent which throws is ignored, so that instrumentation can never break a render
+const emitEvent = (renderContext, event) => {
+  if (!renderContext.onEvent) return
+
+  try {
+    renderContext.onEvent(Object.assign({ asyncId: renderContext.asyncId }, event))
+  } catch (error) {
+    renderContext.logger.warn(`[${renderContext.asyncId}] onEvent threw on a ${event.type} event, carrying on with the render`, { event, error })
   }
 }
 
-class FrontloadConnectedComponent extends React.Component {
-  static contextTypes = {
-    frontload: PropTypes.object
+// the events of a frontload say which one it is, and once it has finished, how long it ran for
+// (zero if it never started) and its outcome
+const emitFrontloadEvent = (renderContext, type, frontload, details) => {
+  if (!renderContext.onEvent) return
+
+  const event = {
+    type,
+    name: frontload.name,
+    componentDisplayName: frontload.componentDisplayName,
+    key: frontload.key
   }
 
-  constructor (props, context) {
-    super(props, context)
+  if (details) {
+    event.duration = frontload.startedAt ? Date.now() - frontload.startedAt : 0
+    Object.assign(event, details)
+  }
 
-    if (context.frontload.isServer) {
-      this.componentWillMount = this.pushFrontload(LIFECYCLE_PHASES.MOUNT, true)
-    } else {
-      this.componentDidMount = this.pushFrontload(LIFECYCLE_PHASES.MOUNT)
-      this.componentDidUpdate = this.pushFrontload(LIFECYCLE_PHASES.UPDATE)
-    }
+  emitEvent(renderContext, event)
+}
+
+const recordError = (renderContext, frontload, error) => {
+  frontload.outcome = { error }
+  renderContext.errors.push({
+    error,
+    componentDisplayName: frontload.componentDisplayName,
+    name: frontload.name,
+    critical: !!frontload.options.critical
+  })
+
+  emitFrontloadEvent(renderContext, 'frontloadRejected', frontload, { outcome: 'rejected', error })
+  reportFrontloadError(frontload.onError, renderContext.logger, error, {
+    componentDisplayName: frontload.componentDisplayName,
+    key: frontload.key,
+    isServer: true
+  })
+}
+
+const recordTimeout = (renderContext, frontload) => {
+  frontload.outcome = { timedOut: true }
+  renderContext.timedOut.push({
+    componentDisplayName: frontload.componentDisplayName,
+    name: frontload.name
+  })
+
+  emitFrontloadEvent(renderContext, 'frontloadTimedOut', frontload, { outcome: 'timedOut' })
+}
+
+// how long, from now, a queued frontload has until its own timeout option or the deadline of the whole render,
+// whichever is sooner
+const getFrontloadTimeout = (renderContext, frontload) => Math.min(
+  frontload.options.timeout || Infinity,
+  renderContext.deadline - Date.now()
+)
+
+// runs a queued frontload fn on the server, recording its outcome on it and in the render context.
+// The frontload fn is passed an abort signal, which is aborted if the frontload does not finish
+// before its own timeout option or the deadline of the whole render, whichever is sooner.
+// A frontload which times out is simply left behind, so that the render can continue without it
+const runQueuedFrontload = (renderContext, frontload) => {
+  const timeout = getFrontloadTimeout(renderContext, frontload)
+
+  if (timeout <= 0) {
+    recordTimeout(renderContext, frontload)
+
+    return Promise.resolve()
   }
 
-  pushFrontload = (lifecyclePhase) => () => {
-    const logMessage = (process.env.NODE_ENV !== 'production')
-      ? null
-      : `for component: [${this.props.component.displayName || 'anonymous'}] on [${(lifecyclePhase === LIFECYCLE_PHASES.MOUNT) ? 'mount' : 'update'}]`
+  frontload.startedAt = Date.now()
+  emitFrontloadEvent(renderContext, 'frontloadStarted', frontload)
+
+  const abortController = createAbortController()
+  const frontloadPromise = runFrontload(frontload, buildServerInfo(frontload, abortController.signal)).then((data) => {
+    if (abortController.signal.aborted) return
+
+    frontload.outcome = { loadedAt: Date.now() }
+    emitFrontloadEvent(renderContext, 'frontloadResolved', frontload, { outcome: 'resolved' })
+    if (frontload.key !== undefined) renderContext.data[frontload.key] = data
+    if (isCacheable(renderContext, frontload)) storeInCache(renderContext, frontload.key, data)
+  })['catch']((error) => {
+    if (abortController.signal.aborted) return
+
+    recordError(renderContext, frontload, error)
+  })
+
+  if (timeout === Infinity) return frontloadPromise
+
+  const timesOutAtDeadline = timeout !== frontload.options.timeout
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      // timers may fire a little before the clock reaches the deadline, so that frontloads
+      // still waiting for a slot would start after it, if it were not marked as passed
+      if (timesOutAtDeadline) renderContext.deadline = Math.min(renderContext.deadline, Date.now())
+
+      recordTimeout(renderContext, frontload)
+      abortController.abort()
+      resolve()
+    }, timeout)
+
+    frontloadPromise.then(() => {
+      clearTimeout(timer)
+      resolve()
+    })
+  })
+}
+
+const isCacheable = (renderContext, frontload) => (
+  !!renderContext.cache && frontload.key !== undefined && frontload.options.cache !== false
+)
 
-    this.context.frontload.pushFrontload(this.props.frontload, this.props.options, lifecyclePhase, this.props.componentProps, logMessage)
+// the cache is only an optimisation, so a store failing to get or set an entry
+// is treated like a miss, and the frontload just runs
+const storeInCache = (renderContext, key, data) => {
+  const { cache } = renderContext
+  const onError = (error) => {
+    renderContext.logger.warn(`[${renderContext.asyncId}] failed to store the data of the frontload with key [${key}] in the cache`, { key, error })
   }
 
-  render () {
-    return <this.props.component {...this.props.componentProps} />
+  try {
+    Promise.resolve(cache.store.set(key, { data, storedAt: Date.now() }, cache.ttl + cache.staleWhileRevalidate))['catch'](onError)
+  } catch (error) {
+    onError(error)
   }
 }
 
-export const frontloadConnect = (frontload, options = {}) => (component) => (props) => (
-  <FrontloadConnectedComponent
-    frontload={frontload}
-    component={component}
-    componentProps={props}
-    options={options} />
-)
+// a store which takes longer than the frontload has before it times out is treated like a miss too,
+// so that a store which never answers cannot hold up the render
+const getFromCache = (renderContext, frontload) => {
+  const { key } = frontload
+  const onError = (error) => {
+    renderContext.logger.warn(`[${renderContext.asyncId}] failed to get the data of the frontload with key [${key}] from the cache, running it instead`, { key, error })
+  }
 
-if (IS_SERVER) {
-  initAsyncHooks()
+  let entryPromise
+  try {
+    entryPromise = Promise.resolve(renderContext.cache.store.get(key))['catch'](onError)
+  } catch (error) {
+    onError(error)
+
+    return Promise.resolve()
+  }
+
+  const timeout = getFrontloadTimeout(renderContext, frontload)
+  if (timeout === Infinity) return entryPromise
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      // as in runQueuedFrontload, so that the frontload is not then started after the deadline
+      if (timeout !== frontload.options.timeout) renderContext.deadline = Math.min(renderContext.deadline, Date.now())
+
+      onError(Error(`timed out after ${Math.max(timeout, 0)}ms`))
+      resolve()
+    }, Math.max(timeout, 0))
+
+    entryPromise.then((entry) => {
+      clearTimeout(timer)
+      resolve(entry)
+    })
+  })
 }
 
-export const frontloadServerRender = (render, withLogging) => {
-  // this is usually a no-op as async hooks have already been initialised
-  // if IS_SERVER is true, but for tests this won't be the case as jest
-  // provides a window object, so just do this for testing
-  // the production check will ensure gets removed from production builds anyway,
-  // so this while being a hack isn't actually that terrible
-  if (process.env.NODE_ENV !== 'production') {
-    initAsyncHooks()
+// runs the frontload again after its stale data was served from the cache, storing
+// its fresh data for the renders which come after. The render serving the stale data
+// does not wait for this, and a frontload failing here only means the data stays stale.
+// It has the timeout of the frontload, or else that of the render, from when it starts, after which
+// its signal is aborted and it is given up on, so that a hung call does not stop the key revalidating again
+const revalidate = (renderContext, frontload) => {
+  const { store } = renderContext.cache
+  if (!REVALIDATING.has(store)) REVALIDATING.set(store, {})
+
+  const revalidating = REVALIDATING.get(store)
+  if (revalidating[frontload.key]) return
+
+  const abortController = createAbortController()
+  revalidating[frontload.key] = abortController
+
+  let timer
+  const done = () => {
+    clearTimeout(timer)
+    if (revalidating[frontload.key] === abortController) delete revalidating[frontload.key]
   }
 
-  return withAsyncContext((asyncId) => {
-    FRONTLOAD_QUEUES[asyncId] = []
+  const timeout = Math.min(frontload.options.timeout || Infinity, renderContext.timeout)
+  if (timeout !== Infinity) {
+    timer = setTimeout(() => {
+      abortController.abort()
+      done()
+    }, timeout)
+  }
+
+  runFrontload(frontload, buildServerInfo(frontload, abortController.signal)).then((data) => {
+    if (!abortController.signal.aborted) storeInCache(renderContext, frontload.key, data)
+  }).then(done, done)
+}
+
+// limits how many frontload fns run at the same time. A frontload waiting for a slot gets one in
+// order of priority, highest first, and otherwise in the order it started waiting. Slots are handed out
+// on the next tick, so that the frontloads started together get theirs by priority too
+const createLimiter = (concurrency) => ({ concurrency, running: 0, waiting: [] })
+
+const grantSlots = (limiter) => {
+  while (limiter.running < limiter.concurrency && limiter.waiting.length > 0) {
+    limiter.running++
+    limiter.waiting.shift().grant()
+  }
+}
+
+const acquireSlot = (limiter, priority) => new Promise((resolve) => {
+  let i = limiter.waiting.length
+  while (i > 0 && limiter.waiting[i - 1].priority < priority) i--
+  limiter.waiting.splice(i, 0, { priority, grant: resolve })
+
+  Promise.resolve().then(() => grantSlots(limiter))
+})
+
+const releaseSlot = (limiter) => {
+  limiter.running--
+  grantSlots(limiter)
+}
+
+// runs a queued frontload fn on the server once it has a slot in the concurrency limits of its
+// Frontload provider and of the whole render, if they have them
+const runQueuedFrontloadWithinLimits = (renderContext, frontload) => {
+  const limiters = []
+  if (renderContext.limiters[frontload.queueIndex]) limiters.push(renderContext.limiters[frontload.queueIndex])
+  if (renderContext.limiter) limiters.push(renderContext.limiter)
 
-    if (process.env.NODE_ENV !== 'production' && withLogging) {
-      log('frontloadServerRender info', `[${asyncId}] running first render to fill frontload fn queue(s)`)
+  if (limiters.length === 0) return runQueuedFrontload(renderContext, frontload)
+
+  const priority = frontload.options.priority || 0
+  const waitingSince = Date.now()
+
+  const acquireSlots = limiters.reduce((acquired, limiter) => (
+    acquired.then(() => acquireSlot(limiter, priority))
+  ), Promise.resolve())
+
+  return acquireSlots.then(() => {
+    if (process.env.NODE_ENV !== 'production' && renderContext.withLogging) {
+      renderContext.logger.debug(`[${renderContext.asyncId}] frontload fn for component [${frontload.componentDisplayName}]${frontload.name ? ` under Frontload [${frontload.name}]` : ''} waited ${Date.now() - waitingSince}ms for a slot to run in (priority ${priority})`)
     }
 
-    // a first render is required to fill the frontload queue(s) wth the frontload
-    // functions on the components in the subtrees under frontload containers that will be rendered
-    // The result of this first render is useless, and is thrown away, so there is more work than
-    // necessary done here. This could be improved, for example if a future version of react implements something like a
-    // rendering dry-run to walk the component tree without actually doing the render at the end
-    // the true flag here signals that this render is just a "dry-run"
-    render(true)
+    // a queued frontload never rejects, its error is recorded instead
+    return runQueuedFrontload(renderContext, frontload).then(() => {
+      map(limiters, releaseSlot)
+    })
+  })
+}
 
-    if (process.env.NODE_ENV !== 'production' && withLogging) {
-      log('frontloadServerRender info', `[${asyncId}] first render succeeded, frontend fn queue(s) filled`)
-      log('frontloadServerRender info', `[${asyncId}] flushing frontend fn queue(s) before running second render...`)
+// runs a queued frontload fn on the server, unless the render has a cache and the data of the frontload
+// is in it. Fresh data is used as is. Stale data, in the staleWhileRevalidate window after the ttl,
+// is used as is too, while the frontload runs again in the background to refresh it
+const runQueuedFrontloadWithCache = (renderContext, frontload) => {
+  if (!isCacheable(renderContext, frontload)) return runQueuedFrontloadWithinLimits(renderContext, frontload)
+
+  const { cache } = renderContext
+
+  return getFromCache(renderContext, frontload).then((entry) => {
+    const age = entry ? Date.now() - entry.storedAt : Infinity
+
+    if (age >= cache.ttl + cache.staleWhileRevalidate) return runQueuedFrontloadWithinLimits(renderContext, frontload)
+
+    if (age >= cache.ttl) revalidate(renderContext, frontload)
+
+    renderContext.cacheHits++
+    frontload.outcome = { loadedAt: entry.storedAt }
+    renderContext.data[frontload.key] = entry.data
+    emitFrontloadEvent(renderContext, 'frontloadResolved', frontload, { outcome: 'resolved', fromCache: true })
+  })
+}
+
+// starts a frontload registered as ran on the server, once the frontloads it depends on have finished,
+// passing it their data, so that frontloads run in topological order. A frontload is only started once.
+// visiting holds the dependent frontloads whose dependencies are being started, so that a cycle of
+// dependencies is detected - the frontloads in it do not run, and each is recorded as an error
+const startFrontload = (renderContext, frontload, visiting = []) => {
+  if (frontload.promise) return frontload.promise
+
+  if (frontload.dependsOn.length === 0) {
+    frontload.promise = runQueuedFrontloadWithCache(renderContext, frontload)
+
+    return frontload.promise
+  }
+
+  const cycleStart = visiting.indexOf(frontload)
+  if (cycleStart !== -1) {
+    const cycle = visiting.slice(cycleStart)
+    const error = Error(`frontload dependency cycle: ${map(cycle.concat(frontload), (cycleFrontload) => `[${cycleFrontload.key}]`).join(' -> ')}`)
+
+    for (let i = 0; i < cycle.length; i++) {
+      cycle[i].promise = Promise.resolve()
+      recordError(renderContext, cycle[i], error)
     }
 
-    const startFlushAt = withLogging && Date.now()
+    return frontload.promise
+  }
 
-    return flushQueues().then(() => {
-      if (process.env.NODE_ENV !== 'production' && withLogging) {
-        log('frontloadServerRender info', `[${asyncId}] flushed frontload fn queue(s) in ${Date.now() - startFlushAt}ms`)
-        log('frontloadServerRender info', `[${asyncId}] Running second render.`)
-      }
+  const dependencies = map(frontload.dependsOn, (key) => find(renderContext.ran, (ranFrontload) => ranFrontload.key === key))
+  const dependencyPromises = []
+  for (let i = 0; i < dependencies.length; i++) {
+    if (dependencies[i]) dependencyPromises.push(startFrontload(renderContext, dependencies[i], visiting.concat(frontload)))
+  }
 
-      const output = render(false)
+  // it was in a cycle found while starting its dependencies
+  if (frontload.promise) return frontload.promise
 
-      if (process.env.NODE_ENV !== 'production' && withLogging) {
-        log('frontloadServerRender info', `[${asyncId}] NOTE: as the logs show, the queue(s) are filled by Frontload before the second render, however they are NOT flushed, so the frontload fns DO NOT run twice.`)
-        log('frontloadServerRender info', `[${asyncId}] second render succeeded. Server rendering is done.`)
+  frontload.promise = waitForAllToComplete(dependencyPromises).then(() => {
+    for (let i = 0; i < dependencies.length; i++) {
+      if (!dependencies[i] || !dependencies[i].outcome || !dependencies[i].outcome.loadedAt) {
+        recordError(renderContext, frontload, Error(
+          `frontload fn not run, as the frontload with key [${frontload.dependsOn[i]}] it depends on ${dependencies[i] ? 'did not load' : 'is not in this render'}`
+        ))
+
+        return
       }
+    }
 
-      delete FRONTLOAD_QUEUES[asyncId]
+    frontload.upstream = pickUpstreamData(renderContext.data, frontload.dependsOn)
 
-      return output
-    })
+    return runQueuedFrontloadWithCache(renderContext, frontload)
   })
+
+  return frontload.promise
+}
+
+function flushQueues (renderContext, index, options = {}) {
+  const frontloadQueues = renderContext.queues
+
+  if (index === undefined) return Promise.all(map(frontloadQueues, (_, i) => flushQueues(renderContext, i, options)))
+
+  const frontloadPromises = []
+  const frontloadsToStart = []
+  const queue = frontloadQueues[index]
+
+  for (let i = 0; i < queue.length; i++) {
+    const frontload = queue[i]
+    if (!options.firstClientRender) {
+      const sameFrontload = find(renderContext.ran, (ranFrontload) => isSameFrontload(ranFrontload, frontload))
+
+      if (sameFrontload) {
+        // on the server, skip any frontload already run in a previous pass of this render
+        if (sameFrontload.pass < renderContext.pass) continue
+
+        // and share the call of a keyed frontload with the same key already running in this pass
+        if (frontload.key !== undefined) {
+          renderContext.deduped++
+          frontloadsToStart.push(sameFrontload)
+          continue
+        }
+      }
+
+      frontload.pass = renderContext.pass
+      renderContext.ran.push(frontload)
+      frontloadsToStart.push(frontload)
+    } else if (options.noServerRender || frontload.options.noServerRender) {
+      if (process.env.NODE_ENV !== 'production' && !!options.log) {
+        options.log(`[1st client render] NOTE running frontload fn for component [${frontload.componentDisplayName}], since noServerRender === true ${options.noServerRender ? 'globally' : 'for this component'}`)
+      }
+
+      frontloadPromises.push(frontload.fn())
+    }
+  }
+
+  frontloadQueues[index] = []
+
+  if (frontloadsToStart.length === 0) return waitForAllToComplete(frontloadPromises)
+
+  // on the server, frontloads are started on the next tick, so that when the queues are flushed
+  // together all of their frontloads are registered as ran first, and any frontload they depend on can be found
+  return Promise.resolve().then(() => (
+    waitForAllToComplete(map(frontloadsToStart, (frontload) => startFrontload(renderContext, frontload)))
+  ))
+}
+
+// an unkeyed frontload is listed in the manifest by the display name of its component, which only tells it apart
+// if no other component with a frontload has the same name, as unnamed components, which are all 'anonymous', do.
+// Otherwise, the frontload of one of them failing on the server makes the client run all of theirs again, or worse,
+// one of them succeeding means the client does not run those which failed. As every render of the app finds the same
+// names, it only warns withLogging, and only once for each name, in WARNED_AMBIGUOUS_NAMES, for as long as the process runs
+const warnOfAmbiguousName = (renderContext, named, frontload) => {
+  const { componentDisplayName } = frontload
+
+  let sameName = find(named, (candidate) => candidate.componentDisplayName === componentDisplayName)
+  if (!sameName) {
+    sameName = { componentDisplayName, frontloads: [] }
+    named.push(sameName)
+  }
+
+  if (sameName.frontloads.indexOf(frontload.frontload) === -1) sameName.frontloads.push(frontload.frontload)
+
+  const ambiguous = componentDisplayName === 'anonymous' || sameName.frontloads.length > 1
+  if (!ambiguous || WARNED_AMBIGUOUS_NAMES.indexOf(componentDisplayName) !== -1) return
+
+  WARNED_AMBIGUOUS_NAMES.push(componentDisplayName)
+  renderContext.logger.warn(
+    `[${renderContext.asyncId}] the manifest cannot tell the unkeyed frontload fn for component [${componentDisplayName}] apart from ` +
+    `${componentDisplayName === 'anonymous' ? 'those of other unnamed components' : 'that of another component with the same name'}, ` +
+    'give the component a unique displayName, or its frontload the key option',
+    { componentDisplayName }
+  )
+}
+
+// the manifest of a server render says which of the frontloads queued by its final render succeeded, so that
+// the client can run the rest again as they mount, rather than keep the data they failed to load missing.
+// It has to be serializable into the page, so keyed frontloads are listed by key, and unkeyed ones, whose
+// props may not be serializable, by component - only if the frontloads of all its instances succeeded
+const buildManifest = (renderContext) => {
+  const keys = []
+  const components = []
+  const failedComponents = []
+  // the frontload fns of each component display name listed, to find names shared by different components
+  const named = []
+
+  for (let i = 0; i < renderContext.queues.length; i++) {
+    const queue = renderContext.queues[i] || []
+
+    for (let j = 0; j < queue.length; j++) {
+      const frontload = queue[j]
+      const ran = find(renderContext.ran, (ranFrontload) => isSameFrontload(ranFrontload, frontload))
+      const succeeded = !!(ran && ran.outcome && ran.outcome.loadedAt)
+
+      if (frontload.key !== undefined) {
+        if (succeeded && keys.indexOf(frontload.key) === -1) keys.push(frontload.key)
+      } else {
+        const list = succeeded ? components : failedComponents
+        if (list.indexOf(frontload.componentDisplayName) === -1) list.push(frontload.componentDisplayName)
+
+        if (process.env.NODE_ENV !== 'production' && renderContext.withLogging) warnOfAmbiguousName(renderContext, named, frontload)
+      }
+    }
+  }
+
+  return {
+    keys,
+    components: filter(components, (componentDisplayName) => failedComponents.indexOf(componentDisplayName) === -1)
+  }
+}
+
+export class Frontload extends React.Component {
+  // the value provided to the connected components and hooks below. It is created once,
+  // so that they do not rerender when this provider does
+  createContextValue () {
+    return {
+      isServer: this.isServer,
+      // the data keyed frontloads resolved with - on the server, in this render, and on the client,
+      // starting from the initialData dehydrated from the server render
+      getData: (key) => this.isServer
+        ? this.renderContext.data[key]
+        : this.data[key],
+      // on the server, how the same frontload has run so far in this render, if it has
+      getOutcome: (frontload) => {
+        const ran = this.renderContext.ran
+        for (let i = 0; i < ran.length; i++) {
+          if (isSameFrontload(ran[i], frontload)) return ran[i].outcome
+        }
+      },
+      willRunFrontload: (options, lifecyclePhase, frontload) => this.willRunFrontload(options, lifecyclePhase, frontload),
+      positionFrontload: (frontload) => this.positionFrontload(frontload),
+      preloadFrontloads: (element, options) => this.preloadFrontloads(element, options),
+      suspendFrontload: (frontload, options, childProps, logMessage, componentDisplayName) => (
+        this.suspendFrontload(frontload, options, childProps, logMessage, componentDisplayName)
+      ),
+      releaseSuspended: (preloaded) => this.releasePreloaded(preloaded),
+      // this does the work of either executing the frontload function on the client,
+      // or pushing it to the queue for eventual execution on the server
+      // on the client, signal is aborted when the call is outdated, so that what it resolves with is not stored
+      // on the server, position identifies an unkeyed frontload across the passes of the render
+      pushFrontload: (frontload, options, lifecylePhase, childProps, logMessage, componentDisplayName, signal, position) => {
+        const isMount = lifecylePhase === LIFECYCLE_PHASES.MOUNT || lifecylePhase === LIFECYCLE_PHASES.PRELOAD
+        const isUpdate = lifecylePhase === LIFECYCLE_PHASES.UPDATE
+        const isPoll = lifecylePhase === LIFECYCLE_PHASES.POLL
+        const key = getFrontloadKey(options, childProps)
+
+        const onRetry = (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage)
+          ? (error, attempt, delay) => this.logger.debug(`retrying frontload fn ${logMessage} in ${delay}ms, attempt ${attempt} failed`, { error })
+          : null
+
+        // get the queue, if on the server
+        const queue = this.isServer
+          ? this.renderContext.queues[this.queueIndex]
+          : null
+
+        // if on server, and noServerRender is configured globally or locally
+        // or if the frontload is configured not to run for this lifecycle phase
+        // just do nothing
+        if (this.isServer ? !this.willRunFrontload(options, lifecylePhase) : !this.isEnabledForLifecyclePhase(options, lifecylePhase)) {
+          return
+        }
+
+        // if on server -> add frontload to a queue for eventual execution
+        if (this.isServer) {
+          const queuedFrontload = {
+            fn: (info) => runWithRetry(() => frontload(childProps, Object.assign({}, this.props.info, { isMount, isUpdate, isPoll }, info)), options.retry, info.signal, onRetry),
+            frontload,
+            props: childProps,
+            key,
+            position,
+            dependsOn: getFrontloadDependencies(options, childProps),
+            queueIndex: this.queueIndex,
+            options,
+            componentDisplayName,
+            name: this.props.name,
+            onError: this.props.onError
+          }
+
+          queue.unshift(queuedFrontload)
+          if (!this.renderContext.final) emitFrontloadEvent(this.renderContext, 'frontloadEnqueued', queuedFrontload)
+
+          if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
+            this.logger.debug(`added frontload fn to queue ${logMessage}`)
+          }
+        // if on client -> just execute it immediately, but only after first client render is done if server rendering is enabled
+        } else if (this.willRunFrontload(options, lifecylePhase, { key, componentDisplayName })) {
+          // a component mounting shares the call preloaded for it, instead of running the frontload again
+          const preloaded = lifecylePhase === LIFECYCLE_PHASES.MOUNT && this.takePreloaded({ frontload, props: childProps, key })
+          if (preloaded) {
+            if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
+              this.logger.debug(`did not execute frontload fn ${logMessage}, since it was preloaded`)
+            }
+
+            return preloaded.promise
+          }
+
+          // a keyed frontload fired while another with the same key is still running shares its call,
+          // unless that call is outdated and so will not store its data
+          const inFlight = key !== undefined && this.inFlight[key]
+          if (inFlight && !inFlight.controller.signal.aborted) {
+            this.deduped++
+            subscribeInFlight(inFlight, signal)
+
+            if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
+              this.logger.debug(`deduped frontload fn ${logMessage}, a call with key [${key}] is already running (${this.deduped} call(s) deduped so far)`)
+            }
+
+            return inFlight.promise
+          }
+
+          // a keyed call is shared, so it is not aborted along with the component which made it, but has its own
+          // controller, aborted once none of the components sharing it need it any more
+          let entry = null
+          if (key !== undefined) {
+            entry = { promise: null, controller: createAbortController(), subscribers: 0 }
+            subscribeInFlight(entry, signal)
+          }
+
+          const callSignal = entry ? entry.controller.signal : signal
+
+          const dependsOn = getFrontloadDependencies(options, childProps)
+          const info = Object.assign({}, this.props.info, { isMount, isUpdate, isPoll })
+          if (callSignal) info.signal = callSignal
+
+          // on the client, components run their frontloads as they mount, children before parents. So a frontload
+          // with dependencies waits a tick for the rest of the components mounting with it to start theirs,
+          // then for any of those it depends on still running, and is passed the data they loaded
+          const frontloadPromise = dependsOn.length === 0
+            ? runWithRetry(() => frontload(childProps, info), options.retry, callSignal, onRetry)
+            : Promise.resolve().then(() => (
+              waitForAllToComplete(map(dependsOn, (dependencyKey) => (
+                this.inFlight[dependencyKey] ? this.inFlight[dependencyKey].promise : Promise.resolve()
+              )))
+            )).then(() => {
+              if (callSignal && callSignal.aborted) return
+
+              const upstreamInfo = Object.assign({}, info, { upstream: pickUpstreamData(this.data, dependsOn) })
+
+              return runWithRetry(() => frontload(childProps, upstreamInfo), options.retry, callSignal, onRetry)
+            })
+
+          if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
+            this.logger.debug(`executed frontload fn ${logMessage}${dependsOn.length > 0 ? `, once the frontloads it depends on [${dependsOn.join(', ')}] have finished` : ''}`)
+          }
+
+          // keyed frontloads have the data they resolve with stored here, to be passed down as a prop
+          const dataPromise = Promise.resolve(frontloadPromise).then((data) => {
+            if (key !== undefined && !(callSignal && callSignal.aborted)) this.data[key] = data
+          })
+
+          // a call which fails once it has made all its attempts is reported once here, however many components
+          // share it. The failure of an outdated call is ignored, like its data
+          dataPromise['catch']((error) => {
+            if (callSignal && callSignal.aborted) return
+
+            if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
+              this.logger.warn(`frontload fn rejected ${logMessage}`, { error })
+            }
+
+            reportFrontloadError(this.props.onError, this.logger, error, { componentDisplayName, key, isServer: false })
+          })
+
+          if (entry) {
+            entry.promise = dataPromise
+            this.inFlight[key] = entry
+
+            const settle = () => {
+              if (this.inFlight[key] === entry) delete this.inFlight[key]
+            }
+            dataPromise.then(settle, settle)
+          }
+
+          return dataPromise
+        // log when frontload is not run on client first render because of server rendering
+        } else if (process.env.NODE_ENV !== 'production' && this.props.withLogging && logMessage) {
+          this.logger.debug(`did not execute frontload fn on first client render ${logMessage}, since server rendering is enabled`)
+        }
+      }
+    }
+  }
+
+  constructor (props) {
+    super(props)
+
+    this.isServer = props.isServer === undefined
+      ? IS_SERVER
+      : props.isServer
+
+    this.logger = createLogger(props.logger, props.name)
+
+    if (this.isServer) {
+      this.renderContext = props.context || getRenderContextForCurrentRender(this.logger)
+      this.queueIndex = this.renderContext.providerCount++
+      this.renderContext.queues[this.queueIndex] = []
+      // how many components with each frontload fn have been rendered under this provider in this pass
+      this.positioned = []
+
+      // created once per render, as frontloads queued in a previous pass may still hold slots in it
+      if (props.concurrency && !this.renderContext.limiters[this.queueIndex]) {
+        this.renderContext.limiters[this.queueIndex] = createLimiter(props.concurrency)
+      }
+    } else {
+      this.data = Object.assign({}, props.initialData)
+      // the calls of keyed frontloads still running, which others with the same key share
+      this.inFlight = {}
+      this.deduped = 0
+      // the frontload calls preloaded by preloadFrontloads, until the component they were preloaded for mounts
+      this.preloaded = []
+    }
+
+    this.contextValue = this.createContextValue()
+
+    // hook for first ever render on client
+    // by default, no frontloads are run on first render, because it is assumed that server rendering is being used
+    // to run all frontloads and fetch data on the server, such that fresh data is available for this first client
+    // render. However, this setup may not be appropriate for every app. We may want to rerun the frontload
+    // functions on the first render on the client for certain, or all, components, for example if server
+    // rendering is not set up at all, or if data may be stale at the time of first client render due to
+    // server-side caching. There are 2 options to configure rerunning the frontload fn(s)
+    // on first render - in a per-frontload option { noServerRender: true }, or in a prop on this
+    // Frontload provider: { noServerRender: true }, which of course enables this for all frontload fns
+    this.componentDidMount = () => {
+      this.firstClientRenderDone = true
+
+      if (process.env.NODE_ENV !== 'production' && props.withLogging && !props.noServerRender) {
+        this.logger.debug('1st client render done, from now on all frontloads will run')
+      }
+    }
+  }
+
+  // on the server, an unkeyed frontload is identified across the passes of a render by the provider it is under
+  // and how many components with the same frontload fn were rendered before it under that provider in the pass.
+  // A component rendered in a later pass ahead of others with the same frontload fn shifts their positions,
+  // so that their frontloads run again - the key option identifies the frontloads of such lists reliably
+  positionFrontload (frontload) {
+    let positioned = find(this.positioned, (candidate) => candidate.frontload === frontload)
+    if (!positioned) {
+      positioned = { frontload, count: 0 }
+      this.positioned.push(positioned)
+    }
+
+    return `${this.queueIndex}:${positioned.count++}`
+  }
+
+  // runs the frontloads the components in element would run as they mount, ahead of mounting it, for example
+  // when the user hovers over a link to the route it is rendered on. The frontloads are collected by walking
+  // element, as on server render, without rendering it. A component mounting within maxAge shares the call
+  // preloaded for it instead of running its frontload again, and so does preloading it again.
+  // Preloading is best effort - a component which cannot be walked on its own, such as one reading context
+  // provided above element, is skipped along with its subtree
+  preloadFrontloads (element, { maxAge = DEFAULT_PRELOAD_MAX_AGE } = {}) {
+    if (this.isServer) return Promise.resolve()
+
+    const collected = []
+    const collectingContextValue = {
+      // so that the components walked queue their frontloads as they are constructed, as on server render
+      isServer: true,
+      getData: this.contextValue.getData,
+      getOutcome: () => undefined,
+      willRunFrontload: () => false,
+      positionFrontload: () => undefined,
+      preloadFrontloads: () => Promise.resolve(),
+      pushFrontload: (frontload, options, lifecyclePhase, props, logMessage, componentDisplayName) => {
+        collected.push({ frontload, options, props, componentDisplayName })
+      }
+    }
+
+    walkTree(<FrontloadContext.Provider value={collectingContextValue}>{element}</FrontloadContext.Provider>, {
+      onError: (error) => {
+        if (process.env.NODE_ENV !== 'production' && this.props.withLogging) {
+          this.logger.debug('could not walk a component to preload its frontloads, so its subtree was skipped', { error })
+        }
+      }
+    })
+
+    const preloadedAt = Date.now()
+    const promises = []
+
+    for (let i = 0; i < collected.length; i++) {
+      const { frontload, options, props, componentDisplayName } = collected[i]
+      const key = getFrontloadKey(options, props)
+      const preloaded = this.findPreloaded({ frontload, props, key })
+
+      if (preloaded) {
+        promises.push(preloaded.promise)
+        continue
+      }
+
+      const logMessage = (process.env.NODE_ENV === 'production')
+        ? null
+        : `for component: [${componentDisplayName}] on [${LIFECYCLE_PHASE_NAMES[LIFECYCLE_PHASES.PRELOAD]}]`
+
+      const promise = this.contextValue.pushFrontload(frontload, options, LIFECYCLE_PHASES.PRELOAD, props, logMessage, componentDisplayName)
+      if (!promise) continue
+
+      this.preloaded.push(trackSettled({ frontload, props, key, promise, expiresAt: preloadedAt + maxAge }))
+      promises.push(promise)
+    }
+
+    return waitForAllToComplete(promises).then(() => {})
+  }
+
+  // the fresh preloaded call of the frontload, if there is one
+  findPreloaded (frontload) {
+    const now = Date.now()
+    this.preloaded = filter(this.preloaded, (preloaded) => preloaded.expiresAt > now)
+
+    return find(this.preloaded, (preloaded) => isSameFrontload(preloaded, frontload))
+  }
+
+  // the same, removing it, so that only the component it was preloaded for uses it
+  takePreloaded (frontload) {
+    const preloaded = this.findPreloaded(frontload)
+    if (preloaded) this.releasePreloaded(preloaded)
+
+    return preloaded
+  }
+
+  releasePreloaded (preloaded) {
+    const index = this.preloaded.indexOf(preloaded)
+    if (index !== -1) this.preloaded.splice(index, 1)
+  }
+
+  // the call a component in suspense mode suspends on as it mounts. A component suspending on its
+  // first mount is thrown away by React, and a new one is constructed when it renders again, so the
+  // call is kept here, like a preloaded one, for that one to find. It is the preloaded call, if there
+  // is one, and otherwise the frontload runs now. The call is kept until the component mounts, or for
+  // the usual maxAge once it has settled, if it never does
+  suspendFrontload (frontload, options, props, logMessage, componentDisplayName) {
+    const key = getFrontloadKey(options, props)
+    const preloaded = this.findPreloaded({ frontload, props, key })
+    if (preloaded) return preloaded
+
+    const promise = this.contextValue.pushFrontload(frontload, options, LIFECYCLE_PHASES.MOUNT, props, logMessage, componentDisplayName)
+    if (!promise) return null
+
+    const suspended = trackSettled({ frontload, props, key, promise, expiresAt: Infinity })
+    promise.then(noop, noop).then(() => {
+      suspended.expiresAt = Math.min(suspended.expiresAt, Date.now() + DEFAULT_PRELOAD_MAX_AGE)
+    })
+
+    this.preloaded.push(suspended)
+
+    return suspended
+  }
+
+  isEnabledForLifecyclePhase (options, lifecyclePhase) {
+    if (lifecyclePhase === LIFECYCLE_PHASES.RELOAD || lifecyclePhase === LIFECYCLE_PHASES.POLL) return true
+
+    return lifecyclePhase === LIFECYCLE_PHASES.MOUNT || lifecyclePhase === LIFECYCLE_PHASES.PRELOAD
+      ? options.onMount !== false // onMount default true
+      : !!(options.onUpdate || options.shouldReload) // onUpdate default false, shouldReload decides on each update
+  }
+
+  // whether a frontload with these options runs, if pushed in this lifecycle phase right now.
+  // frontload is { key, componentDisplayName }, to look it up in the manifest on the first client render
+  willRunFrontload (options, lifecyclePhase, frontload) {
+    const noServerRender = this.props.noServerRender || options.noServerRender
+
+    if (!this.isEnabledForLifecyclePhase(options, lifecyclePhase)) return false
+
+    return this.isServer
+      ? !noServerRender
+      : !!(noServerRender || this.firstClientRenderDone || this.failedOnServer(frontload))
+  }
+
+  // with the manifest of the server render, whether the frontload did not succeed on the server,
+  // and so has to run as it mounts after all. Without one, every frontload is assumed to have succeeded
+  failedOnServer (frontload) {
+    const { manifest } = this.props
+    if (!manifest || !frontload) return false
+
+    return frontload.key !== undefined
+      ? manifest.keys.indexOf(frontload.key) === -1
+      : manifest.components.indexOf(frontload.componentDisplayName) === -1
+  }
+
+  // in a streamed server render, the markup of this subtree is sent as soon as its queue resolves.
+  // Until then, and in the render producing it, the subtree is marked so that its markup
+  // can be found, both in the rendered string and, once sent, in the page
+  isMarkedForStream () {
+    const stream = this.isServer && this.renderContext.stream
+
+    return !!stream && (!stream.resolved[this.queueIndex] || stream.target === this.queueIndex)
+  }
+
+  render () {
+    const children = React.Children.only(this.props.children)
+
+    return (
+      <FrontloadContext.Provider value={this.contextValue}>
+        {this.isMarkedForStream()
+          ? (
+            <React.Fragment>
+              <template data-frontload-start={this.queueIndex} />
+              {children}
+              <template data-frontload-end={this.queueIndex} />
+            </React.Fragment>
+          )
+          : children}
+      </FrontloadContext.Provider>
+    )
+  }
+}
+
+const isTrackingState = (options) => !!(options.frontloadState || options.Loading || options.Error)
+
+const buildFrontloadState = (state) => Object.assign({
+  loading: false,
+  error: null,
+  data: undefined,
+  isMount: false,
+  isUpdate: false,
+  lastLoadedAt: null
+}, state)
+
+class FrontloadConnectedComponent extends React.Component {
+  static contextType = FrontloadContext
+
+  constructor (props, context) {
+    super(props, context)
+
+    if (!context) {
+      throw Error(`frontloadConnect component [${props.componentDisplayName}] must be rendered under the Frontload provider`)
+    }
+
+    // on the server, the frontload is queued straight away, as there is no lifecycle
+    // method which runs before the render on the server that is not deprecated
+    if (context.isServer) {
+      this.position = context.positionFrontload(props.frontload)
+      this.pushFrontload(LIFECYCLE_PHASES.MOUNT)()
+    } else {
+      const pushFrontloadOnUpdate = this.pushFrontload(LIFECYCLE_PHASES.UPDATE)
+      const runsOnMount = context.willRunFrontload(props.options, LIFECYCLE_PHASES.MOUNT, {
+        key: getFrontloadKey(props.options, props.componentProps),
+        componentDisplayName: props.componentDisplayName
+      })
+
+      // in suspense mode, the frontload runs as the component renders rather than once it has mounted,
+      // and the component suspends on it until it has finished
+      if (props.options.suspense && runsOnMount) {
+        const logMessage = (process.env.NODE_ENV === 'production')
+          ? null
+          : `for component: [${props.componentDisplayName}] on [${LIFECYCLE_PHASE_NAMES[LIFECYCLE_PHASES.MOUNT]}]`
+
+        this.suspended = context.suspendFrontload(props.frontload, props.options, props.componentProps, logMessage, props.componentDisplayName)
+      }
+
+      // on the client, the loading state is tracked from the frontload promise. It starts as loading
+      // only if the frontload is about to run on mount, so that the first client render matches the server render.
+      // A suspended component is only rendered once its frontload has finished
+      if (isTrackingState(props.options)) {
+        this.state = {
+          loading: runsOnMount && !this.suspended,
+          error: null,
+          isMount: false,
+          isUpdate: false,
+          lastLoadedAt: null
+        }
+
+        if (this.suspended && this.suspended.settled) {
+          Object.assign(this.state, {
+            error: this.suspended.error || null,
+            isMount: true,
+            lastLoadedAt: this.suspended.loadedAt || null
+          })
+        }
+      }
+
+      this.componentDidMount = () => {
+        // the frontload of a suspended component already ran as it rendered
+        if (this.suspended) {
+          context.releaseSuspended(this.suspended)
+          this.suspended = null
+        } else {
+          this.pushFrontload(LIFECYCLE_PHASES.MOUNT)()
+        }
+
+        if (props.options.pollInterval) this.startPolling()
+      }
+      this.componentDidUpdate = (prevProps) => {
+        // an update caused only by this component's own state changing, for instance the data of
+        // a keyed frontload arriving, is not a props update and must not run the frontload again
+        if (prevProps === this.props) return
+
+        const { shouldReload } = this.props.options
+        if (shouldReload && !shouldReload(prevProps.componentProps, this.props.componentProps)) return
+
+        pushFrontloadOnUpdate()
+      }
+      this.componentWillUnmount = () => {
+        this.unmounted = true
+
+        this.stopPolling()
+        if (this.abortController) this.abortController.abort()
+      }
+    }
+  }
+
+  // with the pollInterval option, the frontload runs again on that interval on the client, as long as the
+  // component is mounted. Polls are skipped while the document is hidden, and once it is visible again
+  // the frontload runs straight away if a poll was skipped. A poll is also skipped while a call of the
+  // frontload is still running, be it the previous poll or a mount, update or reload, so that a poll never
+  // aborts it, and a frontload slower than pollInterval still loads its data
+  startPolling () {
+    this.pollTimer = setInterval(this.poll, this.props.options.pollInterval)
+    document.addEventListener('visibilitychange', this.pollIfSkipped)
+  }
+
+  stopPolling () {
+    if (!this.pollTimer) return
+
+    clearInterval(this.pollTimer)
+    document.removeEventListener('visibilitychange', this.pollIfSkipped)
+    this.pollTimer = null
+  }
+
+  poll = () => {
+    this.skippedPoll = isDocumentHidden()
+    if (!this.skippedPoll && !this.abortController) this.pushFrontload(LIFECYCLE_PHASES.POLL)()
+  }
+
+  pollIfSkipped = () => {
+    if (this.skippedPoll && !isDocumentHidden()) this.poll()
+  }
+
+  // passed to the component, to run its frontload again on the client whenever it needs to.
+  // The promise returned resolves once it is done, or rejects if it fails and the error is not
+  // tracked in frontloadState
+  reloadFrontload = () => {
+    if (this.context.isServer) return Promise.resolve()
+
+    return this.pushFrontload(LIFECYCLE_PHASES.RELOAD)()
+  }
+
+  pushFrontload = (lifecyclePhase) => () => {
+    const logMessage = (process.env.NODE_ENV === 'production')
+      ? null
+      : `for component: [${this.props.componentDisplayName}] on [${LIFECYCLE_PHASE_NAMES[lifecyclePhase]}]`
+
+    // on the client, only the latest call of the frontload of this component counts. Any call still running
+    // when a new one is made is aborted, and what it resolves or rejects with is ignored
+    let abortController = null
+    const identity = { key: getFrontloadKey(this.props.options, this.props.componentProps), componentDisplayName: this.props.componentDisplayName }
+    if (!this.context.isServer && this.context.willRunFrontload(this.props.options, lifecyclePhase, identity)) {
+      if (this.abortController) this.abortController.abort()
+      abortController = this.abortController = createAbortController()
+    }
+
+    const isLatest = () => !this.unmounted && this.abortController === abortController
+
+    const frontloadPromise = this.context.pushFrontload(this.props.frontload, this.props.options, lifecyclePhase, this.props.componentProps, logMessage, this.props.componentDisplayName, abortController && abortController.signal, this.position)
+
+    // a promise is only returned when the frontload runs on the client
+    if (!frontloadPromise) return Promise.resolve()
+
+    const trackingState = isTrackingState(this.props.options)
+    const keyed = getFrontloadKey(this.props.options, this.props.componentProps) !== undefined
+
+    // a poll refreshes the data in the background, so the component is not loading while it runs
+    if (trackingState && lifecyclePhase !== LIFECYCLE_PHASES.POLL) {
+      this.setState({
+        loading: true,
+        isMount: lifecyclePhase === LIFECYCLE_PHASES.MOUNT,
+        isUpdate: lifecyclePhase === LIFECYCLE_PHASES.UPDATE
+      })
+    }
+
+    // rerender with the data once it is stored, or with the new state
+    return frontloadPromise.then(() => {
+      if (!isLatest()) return
+      this.abortController = null
+
+      if (trackingState) {
+        this.setState({ loading: false, error: null, lastLoadedAt: Date.now() })
+      } else if (keyed) {
+        this.forceUpdate()
+      }
+    }, (error) => {
+      if (!isLatest()) return
+      this.abortController = null
+
+      // the failure has been reported to onError by the provider. Only reloadFrontload rejects with it,
+      // as there is nothing to handle the rejection on mount, update or poll
+      if (!trackingState) {
+        if (lifecyclePhase === LIFECYCLE_PHASES.RELOAD) throw error
+
+        return
+      }
+
+      this.setState({ loading: false, error })
+    })
+  }
+
+  // on the server there is no state, as the component is only rendered once per render pass.
+  // Instead, the state comes from how its frontload has run so far in this server render
+  getServerFrontloadState () {
+    const outcome = this.context.getOutcome({
+      frontload: this.props.frontload,
+      props: this.props.componentProps,
+      key: getFrontloadKey(this.props.options, this.props.componentProps),
+      position: this.position
+    })
+
+    // the frontload has not run yet in this render, or it never runs on the server because
+    // of noServerRender, in which case it will be loading when it runs on mount on the client
+    if (!outcome) {
+      return {
+        loading: this.props.options.onMount !== false,
+        isMount: true
+      }
+    }
+
+    return {
+      loading: !!outcome.timedOut,
+      error: outcome.error || null,
+      isMount: true,
+      lastLoadedAt: outcome.loadedAt || null
+    }
+  }
+
+  // on the server, where a component cannot suspend, a component in suspense mode renders nothing instead
+  // until its frontload has finished, or failed if the error is tracked in frontloadState, in this render
+  isServerSuspended () {
+    const outcome = this.context.getOutcome({
+      frontload: this.props.frontload,
+      props: this.props.componentProps,
+      key: getFrontloadKey(this.props.options, this.props.componentProps),
+      position: this.position
+    })
+
+    return !outcome || !!outcome.timedOut || (!!outcome.error && !isTrackingState(this.props.options))
+  }
+
+  // a component in suspense mode throws the call of its frontload while it is running, so that the nearest
+  // Suspense shows its fallback, and throws its error once it has failed, for the nearest error boundary,
+  // unless the error is tracked in frontloadState
+  throwIfSuspended () {
+    const suspended = this.suspended
+    if (!suspended) return
+
+    if (!suspended.settled) throw suspended.promise
+
+    if (suspended.error && !isTrackingState(this.props.options)) {
+      // React renders the component once more before passing the error to the boundary, which must find the
+      // call again. Once it has, the call is released, so that the frontload runs again on the next mount
+      Promise.resolve().then(() => this.context.releaseSuspended(suspended))
+
+      throw suspended.error
+    }
+  }
+
+  render () {
+    const { component: Component, componentProps, options } = this.props
+    const key = getFrontloadKey(options, componentProps)
+
+    if (options.suspense) {
+      if (!this.context.isServer) {
+        this.throwIfSuspended()
+      } else if (this.isServerSuspended()) {
+        return null
+      }
+    }
+
+    const props = Object.assign({}, componentProps, { reloadFrontload: this.reloadFrontload, preloadFrontloads: this.context.preloadFrontloads })
+    const data = key === undefined ? undefined : this.context.getData(key)
+
+    if (key !== undefined) props.frontloadData = data
+
+    if (isTrackingState(options)) {
+      const frontloadState = buildFrontloadState(Object.assign(
+        {},
+        this.context.isServer ? this.getServerFrontloadState() : this.state,
+        { data }
+      ))
+
+      if (frontloadState.loading && options.Loading) {
+        return <options.Loading {...componentProps} frontloadState={frontloadState} reloadFrontload={this.reloadFrontload} />
+      }
+
+      if (frontloadState.error && options.Error) {
+        return <options.Error {...componentProps} frontloadState={frontloadState} reloadFrontload={this.reloadFrontload} />
+      }
+
+      props.frontloadState = frontloadState
+    }
+
+    return <Component {...props} />
+  }
+}
+
+export const frontloadConnect = (frontload, options = {}) => (component) => {
+  const componentDisplayName = component.displayName || component.name || 'anonymous'
+
+  return (props) => (
+    <FrontloadConnectedComponent
+      frontload={frontload}
+      component={component}
+      componentDisplayName={componentDisplayName}
+      componentProps={props}
+      options={options} />
+  )
+}
+
+// the hook equivalent of frontloadConnect, for function components. Requires React 16.8.
+// fn is run just like a frontload fn with the key option, so its data is managed by react-frontload.
+// On the client, it runs again whenever deps change, and can be run at any time with reload()
+export const useFrontload = (key, fn, deps = []) => {
+  const frontload = React.useContext(FrontloadContext)
+
+  if (!frontload) {
+    throw Error(`useFrontload('${key}') must be used in a component under the Frontload provider`)
+  }
+
+  const options = { key, onUpdate: true }
+  const componentDisplayName = `useFrontload(${key})`
+
+  // whether the fn runs on mount has to be decided on the first render, since by the time effects
+  // run, the Frontload provider has already marked the first client render as done
+  const runOnMountRef = React.useRef(null)
+  if (runOnMountRef.current === null) {
+    runOnMountRef.current = !frontload.isServer && frontload.willRunFrontload(options, LIFECYCLE_PHASES.MOUNT, { key, componentDisplayName })
+  }
+
+  const [state, setState] = React.useState(() => ({
+    loading: runOnMountRef.current,
+    error: null
+  }))
+
+  // when deps change, the fn is about to run again in an effect, so the render before that is already loading
+  const runDepsRef = React.useRef(deps)
+  const depsChanged = deps.length !== runDepsRef.current.length ||
+    some(deps, (dep, i) => dep !== runDepsRef.current[i])
+
+  // the latest fn is always the one run, even though it is a new closure on every render
+  const fnRef = React.useRef(fn)
+  fnRef.current = fn
+
+  // like a connected component, only the latest call of fn counts, see FrontloadConnectedComponent
+  const abortControllerRef = React.useRef(null)
+
+  const unmountedRef = React.useRef(false)
+  React.useEffect(() => () => {
+    unmountedRef.current = true
+
+    if (abortControllerRef.current) abortControllerRef.current.abort()
+  }, [])
+
+  const run = (lifecyclePhase) => {
+    runDepsRef.current = deps
+
+    let abortController = null
+    if (!frontload.isServer && frontload.willRunFrontload(options, lifecyclePhase, { key, componentDisplayName })) {
+      if (abortControllerRef.current) abortControllerRef.current.abort()
+      abortController = abortControllerRef.current = createAbortController()
+    }
+
+    const isLatest = () => !unmountedRef.current && abortControllerRef.current === abortController
+
+    const logMessage = (process.env.NODE_ENV === 'production')
+      ? null
+      : `for useFrontload: [${key}] on [${LIFECYCLE_PHASE_NAMES[lifecyclePhase]}]`
+
+    const frontloadPromise = frontload.pushFrontload((props, info) => fnRef.current(info), options, lifecyclePhase, {}, logMessage, componentDisplayName, abortController && abortController.signal)
+
+    // a promise is only returned when the frontload runs on the client
+    if (!frontloadPromise) return Promise.resolve()
+
+    setState((state) => Object.assign({}, state, { loading: true }))
+
+    return frontloadPromise.then(() => {
+      if (!isLatest()) return
+
+      abortControllerRef.current = null
+      setState({ loading: false, error: null })
+    }, (error) => {
+      if (!isLatest()) return
+
+      abortControllerRef.current = null
+      setState({ loading: false, error })
+    })
+  }
+
+  // on the server, effects never run, so the fn is queued during render
+  if (frontload.isServer) run(LIFECYCLE_PHASES.MOUNT)
+
+  // reload is the same function on every render, so that it can be passed down, or be a dependency
+  // of an effect, without changing each time, yet it always runs the latest run
+  const runRef = React.useRef(run)
+  runRef.current = run
+  const reload = React.useCallback(() => runRef.current(LIFECYCLE_PHASES.RELOAD), [])
+
+  const mountedRef = React.useRef(false)
+  React.useEffect(() => {
+    if (mountedRef.current) {
+      run(LIFECYCLE_PHASES.UPDATE)
+    } else if (runOnMountRef.current) {
+      run(LIFECYCLE_PHASES.MOUNT)
+    }
+
+    mountedRef.current = true
+  }, deps)
+
+  if (frontload.isServer) {
+    const outcome = frontload.getOutcome({ key }) || {}
+
+    return {
+      data: frontload.getData(key),
+      error: outcome.error || null,
+      loading: !outcome.loadedAt && !outcome.error,
+      reload: () => Promise.resolve()
+    }
+  }
+
+  return {
+    data: frontload.getData(key),
+    error: depsChanged ? null : state.error,
+    loading: depsChanged || state.loading,
+    reload
+  }
+}
+
+// returns preloadFrontloads, to run the frontloads of an element tree ahead of mounting it. See Frontload.preloadFrontloads
+export const usePreloadFrontloads = () => {
+  const frontload = React.useContext(FrontloadContext)
+
+  if (!frontload) {
+    throw Error('usePreloadFrontloads must be used in a component under the Frontload provider')
+  }
+
+  return frontload.preloadFrontloads
+}
+
+if (IS_SERVER) {
+  initAsyncHooks()
+}
+
+// each Frontload subtree of a stream is rendered once, as soon as its frontloads have finished, so there are
+// no passes, nor a tree to walk for them, and its markup is sent before the errors of the others are known
+const UNSUPPORTED_STREAM_RENDER_OPTIONS = ['maxPasses', 'rejectOnError', 'rejectOnCriticalError', 'walk', 'skipWalk']
+
+const DEFAULT_SERVER_RENDER_OPTIONS = {
+  withLogging: false,
+  withResult: false,
+  maxPasses: 1,
+  rejectOnError: false,
+  rejectOnCriticalError: false,
+  timeout: undefined,
+  cache: undefined,
+  concurrency: undefined,
+  onEvent: undefined,
+  logger: undefined,
+  explicitContext: false,
+  walk: undefined,
+  skipWalk: undefined
+}
+
+const DEFAULT_CACHE_OPTIONS = {
+  ttl: 60 * 1000,
+  staleWhileRevalidate: 0
+}
+
+const describeFrontloadError = ({ componentDisplayName, name, error }) => (
+  `[${componentDisplayName}]${name ? ` under Frontload [${name}]` : ''}: ${error && error.message ? error.message : error}`
+)
+
+// the error frontloadServerRender rejects with when configured to fail on frontload errors.
+// All the errors collected are on it, so that the caller can decide how to respond
+const buildServerRenderError = (errors) => {
+  const error = Error(`frontloadServerRender failed, frontload fn(s) rejected:\n${map(errors, describeFrontloadError).join('\n')}`)
+  error.frontloadErrors = errors
+
+  return error
+}
+
+export const frontloadServerRender = (render, options = {}) => {
+  // the second argument used to be just the withLogging flag, this is still supported
+  if (typeof options === 'boolean') options = { withLogging: options }
+  options = Object.assign({}, DEFAULT_SERVER_RENDER_OPTIONS, options)
+
+  const { withLogging, withResult, maxPasses, rejectOnError, rejectOnCriticalError, timeout, cache, concurrency, onEvent, walk, skipWalk } = options
+  const logger = createLogger(options.logger, 'frontloadServerRender')
+
+  return withRenderContext(options.explicitContext, (renderContext) => {
+    const { asyncId } = renderContext
+    if (timeout) {
+      renderContext.timeout = timeout
+      renderContext.deadline = Date.now() + timeout
+    }
+    if (cache) renderContext.cache = Object.assign({}, DEFAULT_CACHE_OPTIONS, cache)
+    if (concurrency) renderContext.limiter = createLimiter(concurrency)
+    renderContext.withLogging = withLogging
+    renderContext.logger = logger
+    renderContext.onEvent = onEvent
+
+    // each pass is a dry-run render to fill the frontload queue(s) with the frontload
+    // functions on the components in the subtrees under frontload containers that will be rendered,
+    // followed by a flush of the queue(s). The result of the render is useless, and is thrown away, so there is more work than
+    // necessary done here. This could be improved, for example if a future version of react implements something like a
+    // rendering dry-run to walk the component tree without actually doing the render at the end
+    //
+    // By default only one pass is run. With maxPasses > 1, passes keep running until one of them
+    // queues no new frontloads, so that components which only mount once their parent's data has loaded
+    // also get their frontloads run
+    const runPass = (pass) => {
+      if (process.env.NODE_ENV !== 'production' && withLogging) {
+        logger.debug(`[${asyncId}] pass ${pass}: running ${walk ? 'tree walk' : 'dry-run render'} to fill frontload fn queue(s)`)
+      }
+
+      renderContext.providerCount = 0
+      renderContext.pass = pass
+      const passStartedAt = Date.now()
+      emitEvent(renderContext, { type: 'passStart', pass })
+
+      const ranBefore = renderContext.ran.length
+      const dedupedBefore = renderContext.deduped
+      const cacheHitsBefore = renderContext.cacheHits
+
+      // with walk, the element tree it returns is walked to queue the frontloads, without
+      // building the markup a dry-run render would only throw away. Otherwise,
+      // the true flag here signals that this render is just a "dry-run"
+      if (walk) {
+        walkTree(walk(renderContext), { skip: skipWalk })
+      } else {
+        render(true, renderContext)
+      }
+
+      if (process.env.NODE_ENV !== 'production' && withLogging) {
+        logger.debug(`[${asyncId}] pass ${pass}: ${walk ? 'tree walk' : 'dry-run render'} succeeded, frontend fn queue(s) filled`)
+        logger.debug(`[${asyncId}] pass ${pass}: flushing frontend fn queue(s)...`)
+      }
+
+      const startFlushAt = withLogging && Date.now()
+
+      return flushQueues(renderContext).then(() => {
+        const ranInPass = renderContext.ran.length - ranBefore
+        const { errors } = renderContext
+
+        emitEvent(renderContext, { type: 'passEnd', pass, duration: Date.now() - passStartedAt, ran: ranInPass })
+
+        if (process.env.NODE_ENV !== 'production' && withLogging) {
+          logger.info(`[${asyncId}] pass ${pass}: flushed ${ranInPass} new frontload fn(s) in ${Date.now() - startFlushAt}ms, deduped ${renderContext.deduped - dedupedBefore} call(s) sharing a key${cache ? `, served ${renderContext.cacheHits - cacheHitsBefore} from the cache` : ''}`)
+        }
+
+        // no need to carry on rendering if the render is going to fail anyway
+        if (
+          (rejectOnError && errors.length > 0) ||
+          (rejectOnCriticalError && some(errors, (error) => error.critical))
+        ) {
+          throw buildServerRenderError(errors)
+        }
+
+        if (ranInPass > 0 && pass < maxPasses && Date.now() < renderContext.deadline) return runPass(pass + 1)
+
+        if (process.env.NODE_ENV !== 'production' && withLogging && ranInPass > 0 && maxPasses > 1) {
+          logger.warn(`[${asyncId}] stopped at maxPasses (${maxPasses}), there may be frontload fn(s) which were not run`)
+        }
+
+        return pass
+      })
+    }
+
+    // the first pass is started from a promise, so that the render callback or walk throwing rejects, like
+    // every later failure does, rather than throwing synchronously. Whichever way the render fails, its
+    // context is released before the rejection is passed on
+    return Promise.resolve().then(() => runPass(1)).then((passes) => {
+      if (process.env.NODE_ENV !== 'production' && withLogging) {
+        logger.info(`[${asyncId}] ran ${renderContext.ran.length} frontload fn(s) in ${passes} pass(es), deduped ${renderContext.deduped} call(s) sharing a key${cache ? `, served ${renderContext.cacheHits} from the cache` : ''}`)
+
+        for (let i = 0; i < renderContext.errors.length; i++) {
+          logger.warn(`[${asyncId}] frontload fn rejected for component ${describeFrontloadError(renderContext.errors[i])}`, { error: renderContext.errors[i].error })
+        }
+
+        for (let i = 0; i < renderContext.timedOut.length; i++) {
+          const { componentDisplayName, name } = renderContext.timedOut[i]
+          logger.warn(`[${asyncId}] frontload fn timed out for component [${componentDisplayName}]${name ? ` under Frontload [${name}]` : ''}, rendering without it`)
+        }
+
+        logger.debug(`[${asyncId}] Running final render.`)
+      }
+
+      renderContext.providerCount = 0
+      renderContext.final = true
+      const output = render(false, renderContext)
+
+      if (process.env.NODE_ENV !== 'production' && withLogging) {
+        logger.debug(`[${asyncId}] NOTE: as the logs show, the queue(s) are filled by Frontload before the final render, however they are NOT flushed, so the frontload fns DO NOT run twice.`)
+        logger.info(`[${asyncId}] final render succeeded. Server rendering is done.`)
+      }
+
+      releaseRenderContext(renderContext)
+
+      // resolving with just the output, as before the result was added, unless asked for the result
+      if (!withResult) return output
+
+      return {
+        rendered: output,
+        errors: renderContext.errors,
+        timedOut: renderContext.timedOut,
+        data: renderContext.data,
+        manifest: buildManifest(renderContext)
+      }
+    }).catch((error) => {
+      releaseRenderContext(renderContext)
+
+      throw error
+    })
+  })
+}
+
+// sent straight after the shell of a streamed render. Each streamed chunk calls __frontloadChunk, which merges
+// the data of the chunk into window.__FRONTLOAD_DATA__ and swaps its markup into the page, in place
+// of the markup between the markers of its Frontload subtree
+const STREAM_BOOTSTRAP_SCRIPT = (
+  'window.__FRONTLOAD_DATA__=window.__FRONTLOAD_DATA__||{};' +
+  'window.__frontloadChunk=function(i,d){' +
+  'for(var k in d)window.__FRONTLOAD_DATA__[k]=d[k];' +
+  'var c=document.getElementById("frontload-chunk-"+i),' +
+  's=document.querySelector(\'template[data-frontload-start="\'+i+\'"]\'),' +
+  'e=document.querySelector(\'template[data-frontload-end="\'+i+\'"]\');' +
+  'if(!c||!s||!e)return;' +
+  'var p=s.parentNode;' +
+  'while(s.nextSibling!==e)p.removeChild(s.nextSibling);' +
+  'p.insertBefore(c.content,e);p.removeChild(s);p.removeChild(e);c.parentNode.removeChild(c)}'
+)
+
+const findStreamMarker = (markup, type, index) => (
+  new RegExp(`<template data-frontload-${type}="${index}"[^>]*></template>`).exec(markup)
+)
+
+// the markup of the Frontload subtree at index, between its markers
+const extractStreamedSubtree = (markup, index) => {
+  const start = findStreamMarker(markup, 'start', index)
+  const end = findStreamMarker(markup, 'end', index)
+
+  if (!start || !end) return null
+
+  return markup.slice(start.index + start[0].length, end.index)
+}
+
+export const frontloadServerRenderStream = (render, options = {}) => {
+  // as for frontloadServerRender, the second argument can be just the withLogging flag
+  if (typeof options === 'boolean') options = { withLogging: options }
+  options = Object.assign({}, DEFAULT_SERVER_RENDER_OPTIONS, options)
+
+  const { withLogging, timeout, cache, concurrency, onEvent } = options
+  const logger = createLogger(options.logger, 'frontloadServerRenderStream')
+
+  const { Readable } = require('stream')
+  const stream = new Readable({ read () {} })
+
+  // options of frontloadServerRender which a stream cannot honour fail it, rather than being silently ignored
+  const unsupported = filter(UNSUPPORTED_STREAM_RENDER_OPTIONS, (name) => options[name] !== DEFAULT_SERVER_RENDER_OPTIONS[name])
+  if (unsupported.length > 0) {
+    const error = Error(`frontloadServerRenderStream does not support the ${map(unsupported, (name) => `[${name}]`).join(', ')} option(s) of frontloadServerRender`)
+
+    stream.result = Promise.reject(error)
+    stream.result['catch'](() => {})
+    stream.destroy(error)
+
+    return stream
+  }
+
+  // the shell is rendered and sent straight away, with every Frontload subtree in its loading state.
+  // Then the queue of each Frontload subtree is flushed separately, and as soon as one resolves
+  // the app is rendered again, and the markup of just that subtree is sent, along with the data
+  // of the keyed frontloads which have resolved since the last chunk was sent. Once the stream
+  // has ended, the page has the same markup as frontloadServerRender would have rendered,
+  // and window.__FRONTLOAD_DATA__ has its data, ready to be passed as initialData for hydration.
+  //
+  // As each chunk needs its own render, the render callback is always called with dryRun false.
+  // Each of these renders the whole app, from which just the markup of the subtree is extracted,
+  // so an app with n Frontload subtrees is rendered n + 1 times
+  stream.result = withRenderContext(options.explicitContext, (renderContext) => {
+    const { asyncId } = renderContext
+    if (timeout) {
+      renderContext.timeout = timeout
+      renderContext.deadline = Date.now() + timeout
+    }
+    if (cache) renderContext.cache = Object.assign({}, DEFAULT_CACHE_OPTIONS, cache)
+    if (concurrency) renderContext.limiter = createLimiter(concurrency)
+    renderContext.withLogging = withLogging
+    renderContext.logger = logger
+    renderContext.onEvent = onEvent
+    renderContext.pass = 1
+    renderContext.stream = { resolved: {}, target: null }
+
+    const sentData = {}
+    const takeUnsentData = () => {
+      const unsent = {}
+
+      for (const key in renderContext.data) {
+        if (!sentData[key]) {
+          sentData[key] = true
+          unsent[key] = renderContext.data[key]
+        }
+      }
+
+      return unsent
+    }
+
+    const startedAt = Date.now()
+
+    return Promise.resolve().then(() => {
+      stream.push(`${render(false, renderContext)}<script>${STREAM_BOOTSTRAP_SCRIPT}</script>`)
+
+      if (process.env.NODE_ENV !== 'production' && withLogging) {
+        logger.info(`[${asyncId}] sent shell in ${Date.now() - startedAt}ms, streaming ${renderContext.queues.length} Frontload subtree(s)...`)
+      }
+
+      return Promise.all(map(renderContext.queues, (_, index) => flushQueues(renderContext, index).then(() => {
+        renderContext.stream.resolved[index] = true
+        renderContext.stream.target = index
+        renderContext.providerCount = 0
+        renderContext.final = true
+
+        const subtree = extractStreamedSubtree(render(false, renderContext), index)
+        renderContext.stream.target = null
+
+        if (subtree === null) {
+          if (process.env.NODE_ENV !== 'production' && withLogging) {
+            logger.debug(`[${asyncId}] Frontload subtree ${index} was not rendered once its queue resolved, so it was not sent`)
+          }
+
+          return
+        }
+
+        stream.push(
+          `<template id="frontload-chunk-${index}">${subtree}</template>` +
+          `<script>window.__frontloadChunk(${index},${serializeForScript(takeUnsentData())})</script>`
+        )
+
+        if (process.env.NODE_ENV !== 'production' && withLogging) {
+          logger.debug(`[${asyncId}] sent Frontload subtree ${index} after ${Date.now() - startedAt}ms`)
+        }
+      })))
+    }).then(() => {
+      const manifest = buildManifest(renderContext)
+
+      releaseRenderContext(renderContext)
+      stream.push(null)
+
+      if (process.env.NODE_ENV !== 'production' && withLogging) {
+        logger.info(`[${asyncId}] ran ${renderContext.ran.length} frontload fn(s), stream done in ${Date.now() - startedAt}ms`)
+      }
+
+      return {
+        errors: renderContext.errors,
+        timedOut: renderContext.timedOut,
+        data: renderContext.data,
+        manifest
+      }
+    }, (error) => {
+      releaseRenderContext(renderContext)
+      stream.destroy(error)
+
+      throw error
+    })
+  })
+
+  // failures are reported on the stream, so they need not be handled on result too
+  stream.result['catch'](() => {})
+
+  return stream
 }
@@ -0,0 +1,124 @@
+import React from 'react'
+import {
+  Frontload as CoreFrontload,
+  frontloadConnect as coreFrontloadConnect,
+  frontloadServerRender as coreFrontloadServerRender
+} from './index'
+import { serializeForScript } from './serialize'
+
+export { useFrontload, usePreloadFrontloads, frontloadServerRenderStream, createLRUCache } from './index'
+
+// the react-frontload/redux entry point. Its Frontload provider is passed the Redux store, and passes
+// dispatch and getState to every frontload fn under it, in their info. Its frontloadConnect waits for the
+// async actions its frontload fn dispatches, and its frontloadServerRender returns the state of the store
+// once the render is done, serialized to inline in the page. The frontloadEnhancer store enhancer tracks
+// the async actions frontload fns dispatch across the whole store, while they are pending
+
+const noop = () => {}
+
+const isThenable = (value) => !!value && typeof value.then === 'function'
+
+// a store enhancer, which adds to the store:
+// - dispatchFrontloadAction(action) dispatches an action for a frontload fn. When dispatch returns a
+//   promise for it, e.g. for a thunk with redux-thunk, it is pending until the promise settles
+// - getPendingFrontloadActions() returns the actions still pending, e.g. to show a global loading bar
+// - whenFrontloadActionsSettle() returns a promise resolving once none are pending
+// It has to come before any middleware in compose, so that it dispatches through the middleware
+export const frontloadEnhancer = (createStore) => (reducer, preloadedState, enhancer) => {
+  const store = createStore(reducer, preloadedState, enhancer)
+
+  const pending = []
+  let waiting = []
+
+  const settle = (action) => {
+    pending.splice(pending.indexOf(action), 1)
+    if (pending.length > 0) return
+
+    const resolvers = waiting
+    waiting = []
+    for (let i = 0; i < resolvers.length; i++) resolvers[i]()
+  }
+
+  const dispatchFrontloadAction = (action) => {
+    const result = store.dispatch(action)
+
+    if (isThenable(result)) {
+      pending.push(action)
+      result.then(() => settle(action), () => settle(action))
+    }
+
+    return result
+  }
+
+  return Object.assign({}, store, {
+    dispatchFrontloadAction,
+    getPendingFrontloadActions: () => pending.slice(),
+    whenFrontloadActionsSettle: () => (
+      pending.length === 0
+        ? Promise.resolve()
+        : new Promise((resolve) => waiting.push(resolve))
+    )
+  })
+}
+
+// the info passed to frontload fns by the Frontload provider. Actions are dispatched as frontload actions,
+// if the store has the frontloadEnhancer
+const buildStoreInfo = (store) => ({
+  dispatch: store.dispatchFrontloadAction || store.dispatch,
+  getState: store.getState
+})
+
+export class Frontload extends React.Component {
+  constructor (props) {
+    super(props)
+
+    if (!props.store) {
+      throw Error('the Frontload provider of react-frontload/redux must be passed the Redux store in its store prop')
+    }
+  }
+
+  render () {
+    return <CoreFrontload {...this.props} info={Object.assign({}, this.props.info, buildStoreInfo(this.props.store))} />
+  }
+}
+
+// as frontloadConnect, except that the frontload fn is passed dispatch and getState in its info.
+// The actions it dispatches which return a promise count as part of its call, so it only finishes
+// once they have settled too, even if it does not return them. Only their settling is waited for -
+// whether one of them failing fails the frontload is up to the frontload fn, as it may have handled it
+export const frontloadConnect = (frontload, options = {}) => {
+  const frontloadWithStore = (props, info) => {
+    if (!info.dispatch) {
+      throw Error('frontloadConnect of react-frontload/redux must be rendered under the Frontload provider of react-frontload/redux')
+    }
+
+    // when each of the promises returned by dispatch settles, whether it resolves or rejects
+    const dispatched = []
+    const dispatch = (action) => {
+      const result = info.dispatch(action)
+      if (isThenable(result)) dispatched.push(result.then(noop, noop))
+
+      return result
+    }
+
+    return Promise.resolve(frontload(props, Object.assign({}, info, { dispatch })))
+      .then((data) => Promise.all(dispatched).then(() => data))
+  }
+
+  return coreFrontloadConnect(frontloadWithStore, options)
+}
+
+// as frontloadServerRender, except that it is passed the store in options.store - the same store
+// passed to the Frontload provider rendered - and always resolves with the result, with the final state
+// of the store in state, serialized as JSON which is safe to inline in a script tag, to create the store on the client
+export const frontloadServerRender = (render, options = {}) => {
+  const { store } = options
+
+  if (!store) {
+    return Promise.reject(Error('frontloadServerRender of react-frontload/redux must be passed the Redux store in options.store'))
+  }
+
+  return coreFrontloadServerRender(render, Object.assign({}, options, { withResult: true })).then((result) => (
+    Object.assign({}, result, { state: serializeForScript(store.getState()) })
+  ))
+}
@@ -0,0 +1,7 @@
+// JSON which is safe to inline in a script tag
+export const serializeForScript = (data) => (
+  JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+)
@@ -0,0 +1,192 @@
+import React from 'react'
+
+const noop = () => {}
+
+const PORTAL_TYPE = Symbol.for('react.portal')
+const PROVIDER_TYPE = Symbol.for('react.provider')
+const CONTEXT_TYPE = Symbol.for('react.context')
+const FORWARD_REF_TYPE = Symbol.for('react.forward_ref')
+const MEMO_TYPE = Symbol.for('react.memo')
+const LAZY_TYPE = Symbol.for('react.lazy')
+
+// a lazy component can only be walked once it has resolved
+const LAZY_RESOLVED = 1
+
+const isIterable = (node) => typeof node[Symbol.iterator] === 'function'
+
+const isClassComponent = (Component) => !!(Component.prototype && Component.prototype.isReactComponent)
+
+const resolveDefaultProps = (Component, props) => (
+  Component.defaultProps
+    ? Object.assign({}, Component.defaultProps, props)
+    : props
+)
+
+// the legacy context a component is passed is only what it declares in contextTypes
+const maskLegacyContext = (Component, legacyContext) => {
+  const masked = {}
+  if (!Component.contextTypes) return masked
+
+  for (const key in Component.contextTypes) masked[key] = legacyContext[key]
+
+  return masked
+}
+
+// walks an element tree the way the server renderer would - calling function components, and constructing
+// class components and running componentWillMount on them before calling render - but without building any
+// markup, so that the frontloads queued by the components in it are collected at a fraction of the cost of a
+// dry-run render. Context is tracked, both the context of providers and legacy context, so that each component
+// reads what it would in a render. Hooks are given their initial state, and effects never run, as on server render.
+//
+// skip is called with each element, and the subtree of an element it returns true for is not walked, so that
+// subtrees known to have no frontloads in them can be passed over. Without onError, an error thrown by a
+// component stops the walk, as it would a render. With it, the error is passed to it along with the element,
+// and the walk carries on past its subtree
+export const walkTree = (element, { skip, onError } = {}) => {
+  const contextValues = new Map()
+  const readContext = (context) => (contextValues.has(context) ? contextValues.get(context) : context._currentValue)
+
+  const dispatcher = {
+    readContext,
+    useContext: readContext,
+    useState: (initialState) => [typeof initialState === 'function' ? initialState() : initialState, noop],
+    useReducer: (reducer, initialArg, init) => [init ? init(initialArg) : initialArg, noop],
+    useRef: (initialValue) => ({ current: initialValue }),
+    useMemo: (create) => create(),
+    useCallback: (callback) => callback,
+    useEffect: noop,
+    useLayoutEffect: noop,
+    useImperativeHandle: noop,
+    useDebugValue: noop
+  }
+
+  // hooks are called through the dispatcher React has set while a function component renders. It is not a public
+  // API of React, which is why the supported versions of React are pinned, and why its absence is an error rather
+  // than a function component being called without it, which would only fail obscurely on its first hook
+  const internals = React.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED
+  const renderWithHooks = (render) => {
+    const currentDispatcher = internals && internals.ReactCurrentDispatcher
+    if (!currentDispatcher) {
+      throw Error(`walking the element tree needs the hooks dispatcher of React 16.8 and up, which React ${React.version} does not expose`)
+    }
+
+    const previous = currentDispatcher.current
+    currentDispatcher.current = dispatcher
+
+    try {
+      return render()
+    } finally {
+      currentDispatcher.current = previous
+    }
+  }
+
+  const walkClassComponent = (Component, props, legacyContext) => {
+    const context = Component.contextType
+      ? readContext(Component.contextType)
+      : maskLegacyContext(Component, legacyContext)
+
+    const pendingStates = []
+    const updater = {
+      isMounted: () => false,
+      enqueueSetState: (instance, partialState) => pendingStates.push(partialState),
+      enqueueReplaceState: (instance, state) => pendingStates.push(state),
+      enqueueForceUpdate: noop
+    }
+
+    const instance = new Component(props, context, updater)
+    instance.props = props
+    instance.context = context
+    instance.updater = updater
+    if (instance.state === undefined) instance.state = null
+
+    // as in React, the legacy componentWillMount is not run on components using the new lifecycles
+    if (typeof Component.getDerivedStateFromProps === 'function') {
+      const partialState = Component.getDerivedStateFromProps(props, instance.state)
+      if (partialState !== null && partialState !== undefined) instance.state = Object.assign({}, instance.state, partialState)
+    } else if (typeof instance.getSnapshotBeforeUpdate !== 'function') {
+      if (typeof instance.componentWillMount === 'function') instance.componentWillMount()
+      if (typeof instance.UNSAFE_componentWillMount === 'function') instance.UNSAFE_componentWillMount()
+
+      for (let i = 0; i < pendingStates.length; i++) {
+        const partialState = typeof pendingStates[i] === 'function'
+          ? pendingStates[i].call(instance, instance.state, props, context)
+          : pendingStates[i]
+
+        if (partialState !== null && partialState !== undefined) instance.state = Object.assign({}, instance.state, partialState)
+      }
+    }
+
+    const childLegacyContext = typeof instance.getChildContext === 'function'
+      ? Object.assign({}, legacyContext, instance.getChildContext())
+      : legacyContext
+
+    walkNode(instance.render(), childLegacyContext)
+  }
+
+  const walkProvider = (context, props, legacyContext) => {
+    const hadValue = contextValues.has(context)
+    const previousValue = contextValues.get(context)
+    contextValues.set(context, props.value)
+
+    walkNode(props.children, legacyContext)
+
+    if (hadValue) {
+      contextValues.set(context, previousValue)
+    } else {
+      contextValues.delete(context)
+    }
+  }
+
+  const walkType = (type, props, ref, legacyContext) => {
+    if (typeof type === 'string') return walkNode(props.children, legacyContext)
+
+    if (typeof type === 'function') {
+      if (isClassComponent(type)) return walkClassComponent(type, props, legacyContext)
+
+      return walkNode(renderWithHooks(() => type(props, maskLegacyContext(type, legacyContext))), legacyContext)
+    }
+
+    // fragments, StrictMode, Suspense and the like, whose type is a symbol, and anything else
+    // the walker does not know, are walked through to their children
+    switch (type && type.$$typeof) {
+      case PROVIDER_TYPE:
+        return walkProvider(type._context, props, legacyContext)
+      case CONTEXT_TYPE:
+        return walkNode(props.children(readContext(type._context || type)), legacyContext)
+      case FORWARD_REF_TYPE:
+        return walkNode(renderWithHooks(() => type.render(props, ref)), legacyContext)
+      case MEMO_TYPE:
+        return walkType(type.type, resolveDefaultProps(type.type, props), ref, legacyContext)
+      case LAZY_TYPE:
+        if (type._status !== LAZY_RESOLVED) return
+
+        return walkType(type._result, resolveDefaultProps(type._result, props), ref, legacyContext)
+      default:
+        return walkNode(props.children, legacyContext)
+    }
+  }
+
+  const walkNode = (node, legacyContext) => {
+    if (node === null || node === undefined || typeof node === 'boolean' || typeof node === 'string' || typeof node === 'number') return
+
+    if (Array.isArray(node) || isIterable(node)) {
+      for (const child of node) walkNode(child, legacyContext)
+
+      return
+    }
+
+    if (node.$$typeof === PORTAL_TYPE) return walkNode(node.children, legacyContext)
+
+    if (!node.type || (skip && skip(node))) return
+
+    if (!onError) return walkType(node.type, node.props, node.ref, legacyContext)
+
+    try {
+      walkType(node.type, node.props, node.ref, legacyContext)
+    } catch (error) {
+      onError(error, node)
+    }
+  }
+
+  walkNode(element, {})
+}
@@ -0,0 +1,100 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { render } from 'enzyme'
+
+let running, maxRunning, started
+beforeEach(() => {
+  running = 0
+  maxRunning = 0
+  started = []
+})
+
+// records the order the mock api calls start in, and how many run at the same time
+const mockApiCall = (name) => {
+  started.push(name)
+  running++
+  maxRunning = Math.max(maxRunning, running)
+
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      running--
+      resolve(name)
+    }, 10)
+  })
+}
+
+const Item = (props) => (
+  <div className='item'>{props.frontloadData || 'loading...'}</div>
+)
+
+const ConnectedItem = frontloadConnect((props) => mockApiCall(props.name), {
+  key: (props) => props.name
+})(Item)
+
+const ConnectedPriorityItem = frontloadConnect((props) => mockApiCall(props.name), {
+  key: (props) => props.name,
+  priority: 10
+})(Item)
+
+const items = (prefix, count) => {
+  const rendered = []
+  for (let i = 0; i < count; i++) rendered.push(<ConnectedItem key={i} name={`${prefix}${i}`} />)
+
+  return rendered
+}
+
+test('Server render runs at most concurrency frontloads at a time', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>{items('item', 10)}</div>
+    </Frontload>
+  ), { concurrency: 3, withResult: true }).then(({ rendered, data }) => {
+    expect(maxRunning).toBe(3)
+    expect(started).toHaveLength(10)
+    expect(Object.keys(data)).toHaveLength(10)
+    expect(rendered.find('div.item').eq(9).text()).toBe('item9')
+  })
+))
+
+test('Server render runs the frontloads with the highest priority first', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        {items('low', 3)}
+        <ConnectedPriorityItem name='high0' />
+        <ConnectedPriorityItem name='high1' />
+      </div>
+    </Frontload>
+  ), { concurrency: 2 }).then(() => {
+    expect(started.slice(0, 2).sort()).toEqual(['high0', 'high1'])
+  })
+))
+
+test('Server render limits the frontloads of a Frontload provider with its concurrency prop', () => (
+  frontloadServerRender(() => render(
+    <div>
+      <Frontload isServer concurrency={1}>
+        <div>{items('limited', 3)}</div>
+      </Frontload>
+      <Frontload isServer>
+        <div>{items('unlimited', 3)}</div>
+      </Frontload>
+    </div>
+  )).then(() => {
+    // the unlimited provider runs all of its frontloads alongside the first of the limited one
+    expect(maxRunning).toBe(4)
+    expect(started).toHaveLength(6)
+  })
+))
+
+test('Server render waits for a slot within the global timeout', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>{items('item', 3)}</div>
+    </Frontload>
+  ), { concurrency: 1, timeout: 15, withResult: true }).then(({ timedOut }) => {
+    // a frontload still waiting for a slot at the deadline never starts, and is timed out
+    expect(started.length).toBeLessThan(3)
+    expect(timedOut.length).toBeGreaterThanOrEqual(3 - started.length)
+  })
+))
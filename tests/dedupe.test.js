@@ -0,0 +1,124 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, useFrontload, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads } from './helpers'
+
+const getUser = sinon.spy((id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, name: `user ${id}` }), 10)
+}))
+
+beforeEach(() => {
+  getUser.resetHistory()
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const Avatar = (props) => (
+  <div className='avatar'>{props.frontloadData ? props.frontloadData.name : 'loading...'}</div>
+)
+
+const ConnectedAvatar = frontloadConnect((props) => getUser(props.userId), {
+  key: (props) => `user:${props.userId}`
+})(Avatar)
+
+// a different frontload fn and component, loading the same data under the same key
+const UserName = (props) => (
+  <div className='name'>{props.frontloadData ? props.frontloadData.name : 'loading...'}</div>
+)
+
+const ConnectedUserName = frontloadConnect((props) => getUser(props.userId), {
+  key: (props) => `user:${props.userId}`
+})(UserName)
+
+const HookUserName = (props) => {
+  const { data } = useFrontload(`user:${props.userId}`, () => getUser(props.userId))
+
+  return <div className='name'>{data ? data.name : 'loading...'}</div>
+}
+
+const Page = () => (
+  <div>
+    <ConnectedAvatar userId='1' />
+    <ConnectedUserName userId='1' />
+    <HookUserName userId='1' />
+    <ConnectedAvatar userId='2' />
+  </div>
+)
+
+test('Server render shares a single call between frontloads with the same key', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <Page />
+    </Frontload>
+  ), { withResult: true }).then(({ rendered, data }) => {
+    expect(getUser.withArgs('1').callCount).toBe(1)
+    expect(getUser.withArgs('2').callCount).toBe(1)
+
+    expect(rendered.find('div.avatar').eq(0).text()).toBe('user 1')
+    expect(rendered.find('div.name').eq(0).text()).toBe('user 1')
+    expect(rendered.find('div.name').eq(1).text()).toBe('user 1')
+    expect(rendered.find('div.avatar').eq(1).text()).toBe('user 2')
+
+    expect(data).toEqual({
+      'user:1': { id: '1', name: 'user 1' },
+      'user:2': { id: '2', name: 'user 2' }
+    })
+  })
+))
+
+test('Server render still runs identical unkeyed frontloads separately', () => {
+  const loadUser = (props) => getUser(props.userId)
+  const UnkeyedAvatar = frontloadConnect(loadUser)(Avatar)
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <UnkeyedAvatar userId='1' />
+        <UnkeyedAvatar userId='1' />
+      </div>
+    </Frontload>
+  )).then(() => {
+    expect(getUser.withArgs('1').callCount).toBe(2)
+  })
+})
+
+test('Client render shares a single call between frontloads with the same key fired at the same time', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <Page />
+    </Frontload>
+  )
+
+  expect(getUser.withArgs('1').callCount).toBe(1)
+  expect(getUser.withArgs('2').callCount).toBe(1)
+
+  return waitForFrontloads().then(() => {
+    rendered.update()
+
+    expect(rendered.find('div.avatar').map((avatar) => avatar.text())).toEqual(['user 1', 'user 2'])
+    expect(rendered.find('div.name').map((name) => name.text())).toEqual(['user 1', 'user 1'])
+  })
+})
+
+test('Client render runs a keyed frontload again once the shared call has finished', () => {
+  jest.useFakeTimers()
+
+  const App = (props) => (
+    <Frontload isServer={false} noServerRender>
+      {props.showSecond ? <ConnectedUserName userId='1' /> : <ConnectedAvatar userId='1' />}
+    </Frontload>
+  )
+
+  const rendered = mount(<App />)
+
+  return waitForFrontloads().then(() => {
+    rendered.setProps({ showSecond: true })
+
+    expect(getUser.withArgs('1').callCount).toBe(2)
+  })
+})
@@ -0,0 +1,144 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads } from './helpers'
+
+let calls
+beforeEach(() => {
+  calls = []
+})
+
+// records when each mock api call starts and finishes
+const mockApiCall = (name, value, delay) => {
+  calls.push(`start ${name}`)
+
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      calls.push(`end ${name}`)
+      resolve(value)
+    }, delay)
+  })
+}
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const User = (props) => (
+  <div className='user'>{props.frontloadData ? props.frontloadData.name : 'loading...'}</div>
+)
+
+const ConnectedUser = frontloadConnect(() => mockApiCall('user', { id: 'u1', name: 'user 1' }, 20), {
+  key: 'user'
+})(User)
+
+const Posts = (props) => (
+  <div className='posts'>{props.frontloadData ? props.frontloadData.join(', ') : 'loading...'}</div>
+)
+
+const loadPosts = sinon.spy((props, { upstream }) => (
+  mockApiCall('posts', [`post by ${upstream.user.id}`], 10)
+))
+
+const ConnectedPosts = frontloadConnect(loadPosts, {
+  key: 'posts',
+  dependsOn: ['user']
+})(Posts)
+
+const ConnectedPostsOnMissing = frontloadConnect(loadPosts, {
+  key: (props) => `posts-on-${props.dependsOnKey}`,
+  dependsOn: (props) => [props.dependsOnKey]
+})(Posts)
+
+beforeEach(() => {
+  loadPosts.resetHistory()
+})
+
+test('Server render runs a frontload after those it depends on, passing it their data', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedPosts />
+        <ConnectedUser />
+      </div>
+    </Frontload>
+  ), { withResult: true }).then(({ rendered, errors }) => {
+    expect(calls).toEqual(['start user', 'end user', 'start posts', 'end posts'])
+    expect(loadPosts.firstCall.args[1].upstream).toEqual({ user: { id: 'u1', name: 'user 1' } })
+
+    expect(rendered.find('div.posts').text()).toBe('post by u1')
+    expect(errors).toEqual([])
+  })
+))
+
+test('Server render finds frontloads depended on under another Frontload provider', () => (
+  frontloadServerRender(() => render(
+    <div>
+      <Frontload isServer>
+        <ConnectedPosts />
+      </Frontload>
+      <Frontload isServer>
+        <ConnectedUser />
+      </Frontload>
+    </div>
+  )).then((rendered) => {
+    expect(calls).toEqual(['start user', 'end user', 'start posts', 'end posts'])
+    expect(rendered.find('div.posts').text()).toBe('post by u1')
+  })
+))
+
+test('Server render does not run frontloads in a dependency cycle, or depending on one not in the render', () => {
+  const loadCyclic = sinon.spy(() => Promise.resolve({}))
+  const A = frontloadConnect(loadCyclic, { key: 'a', dependsOn: ['b'] })(User)
+  const B = frontloadConnect(loadCyclic, { key: 'b', dependsOn: ['a'] })(User)
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <A />
+        <B />
+        <ConnectedPostsOnMissing dependsOnKey='a' />
+        <ConnectedPostsOnMissing dependsOnKey='missing' />
+      </div>
+    </Frontload>
+  ), { withResult: true }).then(({ errors }) => {
+    expect(loadCyclic.callCount).toBe(0)
+    expect(loadPosts.callCount).toBe(0)
+
+    // the cycle is reported from whichever of its frontloads was started first
+    const messages = errors.map(({ error }) => error.message.replace('[b] -> [a] -> [b]', '[a] -> [b] -> [a]')).sort()
+    expect(messages).toEqual([
+      'frontload dependency cycle: [a] -> [b] -> [a]',
+      'frontload dependency cycle: [a] -> [b] -> [a]',
+      'frontload fn not run, as the frontload with key [a] it depends on did not load',
+      'frontload fn not run, as the frontload with key [missing] it depends on is not in this render'
+    ])
+  })
+})
+
+test('Client render runs a frontload after those it depends on, even though its component mounts first', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <div>
+        <ConnectedPosts />
+        <ConnectedUser />
+      </div>
+    </Frontload>
+  )
+
+  return waitForFrontloads().then(() => {
+    expect(calls).toEqual(['start user', 'end user', 'start posts', 'end posts'])
+    expect(loadPosts.firstCall.args[1]).toEqual({
+      isMount: true,
+      isUpdate: false,
+      isPoll: false,
+      signal: expect.anything(),
+      upstream: { user: { id: 'u1', name: 'user 1' } }
+    })
+
+    expect(rendered.update().find('div.posts').text()).toBe('post by u1')
+  })
+})
@@ -0,0 +1,81 @@
+import React from 'react'
+import { renderToString } from 'react-dom/server'
+import { AsyncResource } from 'async_hooks'
+import { frontloadServerRender, frontloadServerRenderStream, frontloadConnect, Frontload } from '../src/index'
+import { render } from 'enzyme'
+import sinon from 'sinon'
+
+const getTodo = (id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id}` }), 10)
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`
+})(Todo)
+
+const App = (props) => (
+  <Frontload isServer context={props.context} logger={props.logger}>
+    <div>
+      <ConnectedTodo todoId={props.todoId} />
+    </div>
+  </Frontload>
+)
+
+let runInAsyncScope
+beforeEach(() => {
+  runInAsyncScope = sinon.spy(AsyncResource.prototype, 'runInAsyncScope')
+})
+
+afterEach(() => {
+  runInAsyncScope.restore()
+})
+
+test('With explicitContext, the render callback passes the context to Frontload, and async_hooks is not used', () => (
+  frontloadServerRender((dryRun, context) => render(
+    <App context={context} todoId='1' />
+  ), { explicitContext: true, withResult: true }).then(({ rendered, data }) => {
+    expect(rendered.find('div.todo').text()).toBe('todo 1')
+    expect(data).toEqual({ 'todo:1': { id: '1', text: 'todo 1' } })
+    expect(runInAsyncScope.called).toBe(false)
+  })
+))
+
+test('Concurrent renders with explicit contexts keep their frontloads apart', () => (
+  Promise.all(['1', '2'].map((todoId) => (
+    frontloadServerRender((dryRun, context) => render(
+      <App context={context} todoId={todoId} />
+    ), { explicitContext: true, withResult: true })
+  ))).then(([first, second]) => {
+    expect(first.rendered.find('div.todo').text()).toBe('todo 1')
+    expect(Object.keys(first.data)).toEqual(['todo:1'])
+    expect(second.rendered.find('div.todo').text()).toBe('todo 2')
+    expect(Object.keys(second.data)).toEqual(['todo:2'])
+  })
+))
+
+test('With explicitContext, a Frontload provider not passed the context cannot find it', () => {
+  const logger = { error: sinon.spy() }
+
+  return expect(frontloadServerRender(() => render(
+    <App todoId='1' logger={logger} />
+  ), { explicitContext: true })).rejects.toThrow('Could not find async context').then(() => {
+    expect(logger.error.callCount).toBe(1)
+  })
+})
+
+test('Streamed renders can use an explicit context too', () => {
+  const stream = frontloadServerRenderStream((dryRun, context) => renderToString(
+    <App context={context} todoId='1' />
+  ), { explicitContext: true })
+
+  stream.resume()
+
+  return stream.result.then(({ data }) => {
+    expect(data).toEqual({ 'todo:1': { id: '1', text: 'todo 1' } })
+    expect(runInAsyncScope.called).toBe(false)
+  })
+})
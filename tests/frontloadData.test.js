@@ -0,0 +1,83 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+
+const getTodo = sinon.spy((id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id}` }), 10)
+}))
+
+beforeEach(() => {
+  getTodo.resetHistory()
+})
+
+// lets the promise callbacks chained by react-frontload run
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve))
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`
+})(Todo)
+
+const ConnectedTodoReloadingOnUpdate = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`,
+  onUpdate: true
+})(Todo)
+
+test('Server render stores the data keyed frontloads resolve with, passes it as a prop and returns it', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodo todoId='1' />
+        <ConnectedTodo todoId='2' />
+      </div>
+    </Frontload>
+  ), { withResult: true }).then(({ rendered, data }) => {
+    expect(rendered.find('div.todo').eq(0).text()).toBe('todo 1')
+    expect(rendered.find('div.todo').eq(1).text()).toBe('todo 2')
+
+    expect(data).toEqual({
+      'todo:1': { id: '1', text: 'todo 1' },
+      'todo:2': { id: '2', text: 'todo 2' }
+    })
+
+    // the payload survives serialization
+    expect(JSON.parse(JSON.stringify(data))).toEqual(data)
+  })
+))
+
+test('Client render passes the initialData from the server render as a prop, without running the frontload', () => {
+  const initialData = { 'todo:1': { id: '1', text: 'todo 1' } }
+
+  const rendered = mount(
+    <Frontload isServer={false} initialData={initialData}>
+      <ConnectedTodo todoId='1' />
+    </Frontload>
+  )
+
+  expect(getTodo.callCount).toBe(0)
+  expect(rendered.find(Todo).props().frontloadData).toEqual({ id: '1', text: 'todo 1' })
+  expect(rendered.find('div.todo').text()).toBe('todo 1')
+})
+
+test('Client render passes the data keyed frontloads resolve with as a prop', () => {
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <ConnectedTodoReloadingOnUpdate todoId='1' />
+    </Frontload>
+  )
+
+  expect(rendered.find('div.todo').text()).toBe('loading...')
+
+  return getTodo.firstCall.returnValue.then(flushPromises).then(() => {
+    rendered.update()
+
+    expect(rendered.find('div.todo').text()).toBe('todo 1')
+
+    // the update caused by the data arriving does not run the frontload again
+    expect(getTodo.callCount).toBe(1)
+  })
+})
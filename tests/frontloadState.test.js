@@ -0,0 +1,130 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import { waitForFrontloads } from './helpers'
+
+const mockApiCall = ({ value, fail }) => new Promise((resolve, reject) => {
+  setTimeout(() => (fail ? reject(fail) : resolve(value)), 10)
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const loadTodo = (props) => mockApiCall({
+  value: { id: props.todoId, text: `todo ${props.todoId}` },
+  fail: props.missing && Error(`todo ${props.todoId} not found`)
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData.text}</div>
+)
+
+const Loading = () => <div className='loading'>loading...</div>
+
+const TodoError = (props) => <div className='error'>{props.frontloadState.error.message}</div>
+
+const ConnectedTodo = frontloadConnect(loadTodo, {
+  key: (props) => `todo:${props.todoId}`,
+  Loading,
+  Error: TodoError
+})(Todo)
+
+const TodoWithState = (props) => (
+  <div className='todo'>
+    {props.frontloadState.loading ? 'loading...' : 'loaded'}
+  </div>
+)
+
+const ConnectedTodoWithState = frontloadConnect(loadTodo, {
+  frontloadState: true,
+  onUpdate: true
+})(TodoWithState)
+
+test('Client render injects frontloadState tracking the frontload promise', () => {
+  jest.useFakeTimers()
+
+  const App = (props) => (
+    <Frontload isServer={false} noServerRender>
+      <ConnectedTodoWithState {...props} />
+    </Frontload>
+  )
+
+  const rendered = mount(<App todoId='1' />)
+
+  const frontloadState = () => rendered.update().find(TodoWithState).props().frontloadState
+
+  expect(frontloadState()).toEqual({
+    loading: true,
+    error: null,
+    data: undefined,
+    isMount: true,
+    isUpdate: false,
+    lastLoadedAt: null
+  })
+
+  return waitForFrontloads().then(() => {
+    expect(frontloadState().loading).toBe(false)
+    expect(frontloadState().error).toBe(null)
+    expect(frontloadState().lastLoadedAt).toEqual(expect.any(Number))
+
+    rendered.setProps({ todoId: '1', missing: true })
+
+    expect(frontloadState().loading).toBe(true)
+    expect(frontloadState().isMount).toBe(false)
+    expect(frontloadState().isUpdate).toBe(true)
+
+    return waitForFrontloads()
+  }).then(() => {
+    expect(frontloadState().loading).toBe(false)
+    expect(frontloadState().error.message).toBe('todo 1 not found')
+  })
+})
+
+test('Client render renders the Loading and Error components in those states', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <div>
+        <ConnectedTodo todoId='1' />
+        <ConnectedTodo todoId='2' missing />
+      </div>
+    </Frontload>
+  )
+
+  expect(rendered.find('div.loading')).toHaveLength(2)
+
+  return waitForFrontloads().then(() => {
+    rendered.update()
+
+    expect(rendered.find('div.loading')).toHaveLength(0)
+    expect(rendered.find('div.todo').text()).toBe('todo 1')
+    expect(rendered.find('div.error').text()).toBe('todo 2 not found')
+  })
+})
+
+test('Client render is not loading on first render after server render', () => {
+  const rendered = mount(
+    <Frontload isServer={false} initialData={{ 'todo:1': { id: '1', text: 'todo 1' } }}>
+      <ConnectedTodo todoId='1' />
+    </Frontload>
+  )
+
+  expect(rendered.find('div.todo').text()).toBe('todo 1')
+})
+
+test('Server render renders frontloadState from how the frontloads ran', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodo todoId='1' />
+        <ConnectedTodo todoId='2' missing />
+      </div>
+    </Frontload>
+  )).then((rendered) => {
+    expect(rendered.find('div.loading')).toHaveLength(0)
+    expect(rendered.find('div.todo').text()).toBe('todo 1')
+    expect(rendered.find('div.error').text()).toBe('todo 2 not found')
+  })
+))
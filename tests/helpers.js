@@ -0,0 +1,51 @@
+// the client tests run on jest fake timers, so that the mock api calls, which resolve on a timer, resolve
+// exactly when a test lets the time pass, rather than racing a wall-clock sleep, which is flaky on a busy machine.
+// A test calls jest.useFakeTimers() before rendering, and its file restores the real timers after each test
+
+import { act } from 'react-dom/test-utils'
+
+// runs the promise callbacks queued so far, and those they queue in turn, a few levels deep
+const flushPromises = () => {
+  let flushed = Promise.resolve()
+  for (let i = 0; i < 10; i++) flushed = flushed.then(() => {})
+
+  return flushed
+}
+
+// lets ms of fake time pass, a millisecond at a time, running the promise callbacks chained on each timer,
+// by the mock api calls, react-frontload and React, before the next timer fires. It runs in act, as the
+// state updates the frontloads resolving make, e.g. those of useFrontload, would otherwise be warned of
+export const advanceTimers = (ms) => Promise.resolve(act(() => {
+  let advanced = flushPromises()
+  for (let i = 0; i < ms; i++) {
+    advanced = advanced.then(() => {
+      jest.advanceTimersByTime(1)
+
+      return flushPromises()
+    })
+  }
+
+  return advanced
+}))
+
+// lets enough fake time pass for the mock api calls made so far, and those made once they have returned,
+// to have returned in turn, and for the promise callbacks chained on them by react-frontload to have run
+export const waitForFrontloads = () => advanceTimers(200)
+
+// lets fake time pass until promise has settled, and settles as it does, e.g. to wait for what
+// reloadFrontload or preloadFrontloads return. It gives up after a second of fake time, as otherwise
+// a promise which never settles would keep it advancing the timers forever
+export const advanceTimersUntilSettled = (promise) => {
+  let settled = false
+  const settle = () => { settled = true }
+  promise.then(settle, settle)
+
+  const advanceUntilSettled = (ms) => {
+    if (settled) return promise
+    if (ms >= 1000) return Promise.reject(Error('the promise did not settle within a second of fake time'))
+
+    return advanceTimers(1).then(() => advanceUntilSettled(ms + 1))
+  }
+
+  return advanceUntilSettled(0)
+}
@@ -51,6 +51,14 @@ beforeEach(() => {
   sinonSandbox.reset()
 })
 
+// enzyme's update() only syncs the wrapper with the rendered tree, it does not rerender.
+// This forces the rerender, i.e. the props update, that the client tests rely on
+const rerender = (wrapper) => {
+  wrapper.setProps({})
+
+  return wrapper.update()
+}
+
 const Leaf = (props) => (
   <div className='leaf' >
     {props.value ? props.value.data : 'loading...'}
@@ -229,7 +237,7 @@ test('v0.0.1: Client render of <App /> with all mock api call promises resolved'
   assertStoreIsEmpty(store)
 
   // Now, force a first update to get frontload to run
-  const secondRender = firstRender.update()
+  const secondRender = rerender(firstRender)
 
   assertDomStructureIsAsExpected(secondRender)
   assertLoadersAreRendered(secondRender)
@@ -237,7 +245,7 @@ test('v0.0.1: Client render of <App /> with all mock api call promises resolved'
   // Wait until all mock api calls have completed, then force a second update to render
   // with the content now loaded into the store from the mock api
   return Promise.all([ ...MOCK_API_PROMISES ]).then(() => {
-    const thirdRender = secondRender.update()
+    const thirdRender = rerender(secondRender)
 
     assertDomStructureIsAsExpected(thirdRender)
     assertStoreIsPopulated(store)
@@ -264,7 +272,7 @@ test('v0.0.1: Client render of <App /> with 2 mock api call promises resolved an
   assertLoadersAreRendered(firstRender)
   assertStoreIsEmpty(store)
 
-  const secondRender = firstRender.update()
+  const secondRender = rerender(firstRender)
   assertDomStructureIsAsExpected(secondRender)
   assertLoadersAreRendered(secondRender)
   assertStoreIsEmpty(store)
@@ -275,7 +283,7 @@ test('v0.0.1: Client render of <App /> with 2 mock api call promises resolved an
     Promise.all([ ...MOCK_API_PROMISES ].map((promise) => promise.catch(() => true)))
 
   return allPromisesResolved.then(() => {
-    const thirdRender = secondRender.update()
+    const thirdRender = rerender(secondRender)
 
     assertDomStructureIsAsExpected(thirdRender)
     assertStoreIsPopulatedIncludingFailures(store)
@@ -308,7 +316,7 @@ test('v0.0.1: Client render of <App /> with server rendering configured off glob
   // Wait until all mock api calls have completed, then force a second update to render
   // with the content now loaded into the store from the mock api
   return Promise.all([ ...MOCK_API_PROMISES ]).then(() => {
-    const secondRender = firstRender.update()
+    const secondRender = rerender(firstRender)
 
     assertDomStructureIsAsExpected(secondRender)
     assertStoreIsPopulated(store)
@@ -349,7 +357,7 @@ test('v0.0.1: Client render of <App /> with server rendering configured off for
   // then force an update to render the loaded data for that component, and execute
   // the frontloads for all the other components (now that we are past the first render)
   return Promise.all([ ...MOCK_API_PROMISES ]).then(() => {
-    const secondRender = firstRender.update()
+    const secondRender = rerender(firstRender)
 
     // assert dom structure
     expect(secondRender.find(Component1)).toHaveLength(1)
@@ -376,7 +384,7 @@ test('v0.0.1: Client render of <App /> with server rendering configured off for
   // Wait until all mock api calls have completed, then force a third update to render
   // with the content now loaded into the store from the mock api
     .then((secondRender) => {
-      const thirdRender = secondRender.update()
+      const thirdRender = rerender(secondRender)
 
       // assert dom structure
       expect(thirdRender.find(Component1)).toHaveLength(1)
@@ -406,7 +414,7 @@ test('v0.0.1: Server render of <App /> with all mock api call promises resolved'
   )
 
   return frontloadServerRender((dryRun) => (
-    render(<App />)
+    render(<div><App /></div>)
   )).then((serverRenderedMarkup) => {
     expect(MockApi.getA.withArgs('1').callCount).toBe(1)
     expect(MockApi.getB.withArgs('3').callCount).toBe(1)
@@ -434,7 +442,7 @@ test('v0.0.1: Server render of <App /> with 2 mock api call promises resolved an
   )
 
   return frontloadServerRender((dryRun) => (
-    render(<App />)
+    render(<div><App /></div>)
   )).then((serverRenderedMarkup) => {
     expect(MockApi.getA.withArgs('1').callCount).toBe(1)
     expect(MockApi.getB.withArgs('3', true).callCount).toBe(1)
@@ -462,7 +470,7 @@ test('v0.0.1: Server render of <App /> with server rendering configured off glob
   )
 
   return frontloadServerRender((dryRun) => (
-    render(<App />)
+    render(<div><App /></div>)
   )).then((serverRenderedMarkup) => {
     expect(MockApi.getA.withArgs('1').callCount).toBe(0)
     expect(MockApi.getB.withArgs('3').callCount).toBe(0)
@@ -490,7 +498,7 @@ test('v0.0.1: Server render of <App /> with server rendering configured off for
   )
 
   return frontloadServerRender((dryRun) => (
-    render(<App />)
+    render(<div><App /></div>)
   )).then((serverRenderedMarkup) => {
     expect(MockApi.getA.withArgs('1').callCount).toBe(1)
     expect(MockApi.getB.withArgs('3').callCount).toBe(1)
@@ -551,7 +559,7 @@ test('v0.0.2: Client render of <App /> with frontloads firing api calls based on
 
   // Wait until all mock api calls have completed, then force an update to render the loaded data
   return Promise.all([ ...MOCK_API_PROMISES ]).then(() => {
-    const secondRender = firstRender.update()
+    const secondRender = rerender(firstRender)
 
     // after second render:
     // Component 1 frontload should run again (configured to run on both mount and update)
@@ -579,7 +587,7 @@ test('v0.0.2: Client render of <App /> with frontloads firing api calls based on
     return Promise.all([ ...MOCK_API_PROMISES ]).then(() => secondRender)
   })
     .then((secondRender) => {
-      const thirdRender = secondRender.update()
+      const thirdRender = rerender(secondRender)
 
       // after third render:
       // Component 1 frontload should run again (configured to run on both mount and update)
@@ -623,7 +631,7 @@ test.only('server render in parallel (bugfix introduced in v1.0.5)', () => {
     )
 
     return frontloadServerRender((dryRun) => (
-      render(<App />)
+      render(<div><App /></div>)
     )).then((serverRenderedMarkup) => {
       assertServerRenderedMarkupStructureIsAsExpected(serverRenderedMarkup)
       assertStoreIsPopulated(store)
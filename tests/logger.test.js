@@ -0,0 +1,115 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+
+const createLogger = () => ({
+  debug: sinon.spy(),
+  info: sinon.spy(),
+  warn: sinon.spy(),
+  error: sinon.spy()
+})
+
+// the messages logged at a level, without the arguments giving their context
+const messages = (level) => level.args.map((args) => args[0])
+
+const mockApiCall = ({ value, fail }) => new Promise((resolve, reject) => {
+  setTimeout(() => (fail ? reject(fail) : resolve(value)), 10)
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData || 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => mockApiCall(props), {
+  key: (props) => `todo:${props.value}`
+})(Todo)
+
+test('Server render logs to the logger passed, at the level of each message', () => {
+  const logger = createLogger()
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodo value='1' />
+        <ConnectedTodo value='2' fail={Error('todo 2 failed')} />
+      </div>
+    </Frontload>
+  ), { withLogging: true, logger }).then(() => {
+    expect(logger.debug.called).toBe(true)
+    expect(messages(logger.info).some((message) => message.startsWith('[react-frontload] [frontloadServerRender] ['))).toBe(true)
+
+    expect(logger.warn.callCount).toBe(1)
+    expect(logger.warn.firstCall.args[0]).toMatch('frontload fn rejected for component [Todo]: todo 2 failed')
+    expect(logger.warn.firstCall.args[1]).toEqual({ error: Error('todo 2 failed') })
+    expect(logger.error.called).toBe(false)
+  })
+})
+
+test('Server render logs nothing but warnings and errors without withLogging', () => {
+  const logger = createLogger()
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodo value='1' />
+      </div>
+    </Frontload>
+  ), {
+    logger,
+    onEvent: () => {
+      throw Error('tracer down')
+    }
+  }).then(() => {
+    expect(logger.debug.called).toBe(false)
+    expect(logger.info.called).toBe(false)
+
+    expect(logger.warn.called).toBe(true)
+    expect(logger.warn.firstCall.args[0]).toMatch('onEvent threw on a passStart event')
+    expect(logger.warn.firstCall.args[1].error).toEqual(Error('tracer down'))
+  })
+})
+
+test('Frontload logs to its logger, which may implement only some of the levels', () => {
+  const logger = { debug: sinon.spy() }
+
+  mount(
+    <Frontload isServer={false} noServerRender name='todos' withLogging logger={logger}>
+      <ConnectedTodo value='1' />
+    </Frontload>
+  )
+
+  expect(logger.debug.called).toBe(true)
+  expect(messages(logger.debug).every((message) => message.startsWith('[react-frontload] [todos] '))).toBe(true)
+})
+
+test('A server Frontload provider rendered outside of frontloadServerRender logs an error with its context, then throws', () => {
+  const logger = createLogger()
+
+  expect(() => render(
+    <Frontload isServer logger={logger}>
+      <ConnectedTodo value='1' />
+    </Frontload>
+  )).toThrow('Could not find async context for current async execution id')
+
+  expect(logger.error.callCount).toBe(1)
+  expect(logger.error.firstCall.args[0]).toMatch('must be rendered within the render callback of frontloadServerRender')
+  expect(logger.error.firstCall.args[1]).toEqual({ executionAsyncId: expect.any(Number), activeRenders: 0, asyncResources: 0 })
+})
+
+test('Without a logger, logs go to the console in development', () => {
+  const consoleLog = sinon.stub(console, 'log')
+
+  try {
+    mount(
+      <Frontload isServer={false} noServerRender withLogging>
+        <ConnectedTodo value='1' />
+      </Frontload>
+    )
+
+    expect(consoleLog.called).toBe(true)
+    expect(consoleLog.firstCall.args[0]).toMatch(/^\[react-frontload\] /)
+  } finally {
+    consoleLog.restore()
+  }
+})
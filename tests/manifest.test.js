@@ -0,0 +1,146 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, useFrontload, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads } from './helpers'
+
+const getTodo = sinon.spy((id) => new Promise((resolve, reject) => {
+  setTimeout(() => {
+    if (id === 'missing') return reject(Error(`todo ${id} not found`))
+
+    resolve({ id, text: `todo ${id}` })
+  }, id === 'slow' ? 100 : 10)
+}))
+
+beforeEach(() => {
+  getTodo.resetHistory()
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const KeyedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`,
+  timeout: 50
+})(Todo)
+
+// unkeyed frontloads load into a store, as with a state manager
+const store = {}
+const StoredTodo = (props) => (
+  <div className='todo'>{store[props.todoId] ? store[props.todoId].text : 'loading...'}</div>
+)
+
+const loadIntoStore = (props) => getTodo(props.todoId).then((todo) => {
+  store[props.todoId] = todo
+})
+
+const UnkeyedTodo = frontloadConnect(loadIntoStore)(StoredTodo)
+
+const StoredTodoWithFailures = (props) => <StoredTodo {...props} />
+const UnkeyedTodoWithFailures = frontloadConnect(loadIntoStore)(StoredTodoWithFailures)
+
+const HookTodo = (props) => {
+  const { data } = useFrontload(`hook-todo:${props.todoId}`, () => getTodo(props.todoId))
+
+  return <div className='todo'>{data ? data.text : 'loading...'}</div>
+}
+
+const App = (props) => (
+  <Frontload isServer={props.isServer || false} initialData={props.initialData} manifest={props.manifest}>
+    <div>
+      <KeyedTodo todoId='1' />
+      <KeyedTodo todoId='missing' />
+      <KeyedTodo todoId='slow' />
+      <UnkeyedTodo todoId='2' />
+      <UnkeyedTodoWithFailures todoId='3' />
+      <UnkeyedTodoWithFailures todoId='missing' />
+      <HookTodo todoId='4' />
+      <HookTodo todoId='missing' />
+    </div>
+  </Frontload>
+)
+
+const serverRender = () => frontloadServerRender(() => render(<App isServer />), { withResult: true })
+
+test('frontloadServerRender returns a serializable manifest of the frontloads which succeeded', () => (
+  serverRender().then(({ manifest }) => {
+    expect(JSON.parse(JSON.stringify(manifest))).toEqual(manifest)
+
+    expect(manifest.keys.sort()).toEqual(['hook-todo:4', 'todo:1'])
+    expect(manifest.components).toEqual(['StoredTodo'])
+  })
+))
+
+test('With the manifest, the first client render only runs again on mount the frontloads which did not succeed on the server', () => (
+  serverRender().then(({ data, manifest }) => {
+    getTodo.resetHistory()
+    jest.useFakeTimers()
+
+    const rendered = mount(<App initialData={data} manifest={manifest} />)
+
+    expect(getTodo.args.map(([id]) => id).sort()).toEqual(['3', 'missing', 'missing', 'missing', 'slow'])
+
+    return waitForFrontloads().then(() => {
+      const texts = rendered.update().find('div.todo').map((todo) => todo.text())
+
+      expect(texts).toEqual([
+        'todo 1', 'loading...', 'todo slow', 'todo 2', 'todo 3', 'loading...', 'todo 4', 'loading...'
+      ])
+    })
+  })
+))
+
+test('Without the manifest, the first client render assumes every frontload succeeded on the server', () => (
+  serverRender().then(({ data }) => {
+    getTodo.resetHistory()
+
+    mount(<App initialData={data} />)
+
+    expect(getTodo.callCount).toBe(0)
+  })
+))
+
+test('frontloadServerRender warns withLogging, once, of unkeyed frontloads the manifest cannot tell apart by component name', () => {
+  const logger = { warn: sinon.spy() }
+
+  // two different components named Todo, and two unnamed ones
+  const OtherTodo = frontloadConnect((props) => getTodo(props.todoId))((props) => <StoredTodo {...props} />)
+  const NamedTodo = frontloadConnect(loadIntoStore)(Object.assign((props) => <StoredTodo {...props} />, { displayName: 'Todo' }))
+  const OtherNamedTodo = frontloadConnect((props) => getTodo(props.todoId))(Object.assign((props) => <StoredTodo {...props} />, { displayName: 'Todo' }))
+
+  const renderApp = (withLogging) => frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <UnkeyedTodo todoId='1' />
+        <UnkeyedTodo todoId='2' />
+        <OtherTodo todoId='3' />
+        <NamedTodo todoId='4' />
+        <OtherNamedTodo todoId='5' />
+        <KeyedTodo todoId='6' />
+      </div>
+    </Frontload>
+  ), { logger, withLogging, withResult: true })
+
+  return renderApp(false).then(({ manifest }) => {
+    expect(manifest.components.sort()).toEqual(['StoredTodo', 'Todo', 'anonymous'])
+    expect(logger.warn.callCount).toBe(0)
+
+    return renderApp(true)
+  }).then(() => {
+    expect(logger.warn.callCount).toBe(2)
+    expect(logger.warn.args.map(([message]) => message)).toEqual(expect.arrayContaining([
+      expect.stringContaining('cannot tell the unkeyed frontload fn for component [anonymous] apart from those of other unnamed components'),
+      expect.stringContaining('cannot tell the unkeyed frontload fn for component [Todo] apart from that of another component with the same name')
+    ]))
+
+    // the next render of the app finds the same names, which have already been warned of
+    return renderApp(true)
+  }).then(() => {
+    expect(logger.warn.callCount).toBe(2)
+  })
+})
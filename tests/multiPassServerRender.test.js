@@ -0,0 +1,126 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { render } from 'enzyme'
+import sinon from 'sinon'
+
+const mockApiCall = (value, delay) => new Promise((resolve) => {
+  setTimeout(() => resolve(value), delay || 0)
+})
+
+const MockApi = {
+  getTodos: sinon.spy(() => mockApiCall([{ id: '1' }, { id: '2' }], 10)),
+  getTodo: sinon.spy((id) => mockApiCall({ id, text: `todo ${id}` }, 10))
+}
+
+beforeEach(() => {
+  MockApi.getTodos.resetHistory()
+  MockApi.getTodo.resetHistory()
+})
+
+// the Todo components are only rendered once the todos list has loaded, so their
+// frontloads can only be queued by a dry-run render after the list frontload has run
+const Todo = frontloadConnect((props) => (
+  MockApi.getTodo(props.todoId).then((todo) => {
+    props.store.todo[todo.id] = todo
+  })
+))((props) => (
+  <div className='todo'>
+    {props.store.todo[props.todoId] ? props.store.todo[props.todoId].text : 'loading...'}
+  </div>
+))
+
+const TodoList = frontloadConnect((props) => (
+  MockApi.getTodos().then((todos) => {
+    props.store.todos = todos
+  })
+))((props) => (
+  <div className='todos'>
+    {props.store.todos
+      ? props.store.todos.map((todo) => <Todo key={todo.id} todoId={todo.id} store={props.store} />)
+      : 'loading...'}
+  </div>
+))
+
+const buildCleanStore = () => ({ todos: null, todo: {} })
+
+test('Server render runs only one pass by default, so nested frontloads revealed by loaded data do not run', () => {
+  const store = buildCleanStore()
+  const renderMarkup = sinon.spy((dryRun) => render(
+    <Frontload isServer>
+      <TodoList store={store} />
+    </Frontload>
+  ))
+
+  return frontloadServerRender(renderMarkup).then((serverRenderedMarkup) => {
+    expect(renderMarkup.callCount).toBe(2)
+    expect(MockApi.getTodos.callCount).toBe(1)
+    expect(MockApi.getTodo.callCount).toBe(0)
+
+    expect(serverRenderedMarkup.find('div.todo')).toHaveLength(2)
+    expect(serverRenderedMarkup.find('div.todo').eq(0).text()).toBe('loading...')
+    expect(serverRenderedMarkup.find('div.todo').eq(1).text()).toBe('loading...')
+  })
+})
+
+test('Multi-pass server render runs passes until no new frontloads are queued', () => {
+  const store = buildCleanStore()
+  const renderMarkup = sinon.spy((dryRun) => render(
+    <Frontload isServer>
+      <TodoList store={store} />
+    </Frontload>
+  ))
+
+  return frontloadServerRender(renderMarkup, { maxPasses: 5 }).then((serverRenderedMarkup) => {
+    // 3 dry-run passes (the last one queues no new frontloads) and the final render
+    expect(renderMarkup.callCount).toBe(4)
+    expect(renderMarkup.lastCall.args[0]).toBe(false)
+
+    // frontloads already run in a previous pass are not run again
+    expect(MockApi.getTodos.callCount).toBe(1)
+    expect(MockApi.getTodo.withArgs('1').callCount).toBe(1)
+    expect(MockApi.getTodo.withArgs('2').callCount).toBe(1)
+
+    expect(serverRenderedMarkup.find('div.todo').eq(0).text()).toBe('todo 1')
+    expect(serverRenderedMarkup.find('div.todo').eq(1).text()).toBe('todo 2')
+  })
+})
+
+test('Multi-pass server render stops at maxPasses', () => {
+  const store = buildCleanStore()
+  const renderMarkup = sinon.spy((dryRun) => render(
+    <Frontload isServer>
+      <TodoList store={store} />
+    </Frontload>
+  ))
+
+  return frontloadServerRender(renderMarkup, { maxPasses: 2 }).then((serverRenderedMarkup) => {
+    expect(renderMarkup.callCount).toBe(3)
+    expect(MockApi.getTodos.callCount).toBe(1)
+    expect(MockApi.getTodo.callCount).toBe(2)
+
+    expect(serverRenderedMarkup.find('div.todo').eq(0).text()).toBe('todo 1')
+  })
+})
+
+test('Multi-pass server render does not run unkeyed frontloads again when their props hold new functions on every render', () => {
+  const store = buildCleanStore()
+  const getSelected = sinon.spy(() => mockApiCall('1', 10))
+
+  // a new onSelect on every pass, so that the props of the unkeyed frontload never compare equal
+  const Selection = frontloadConnect(() => getSelected())(() => <div className='selection' />)
+  const renderMarkup = sinon.spy((dryRun) => render(
+    <Frontload isServer>
+      <div>
+        <TodoList store={store} />
+        <Selection onSelect={() => {}} />
+      </div>
+    </Frontload>
+  ))
+
+  return frontloadServerRender(renderMarkup, { maxPasses: 5 }).then(() => {
+    expect(renderMarkup.callCount).toBe(4)
+    expect(getSelected.callCount).toBe(1)
+    expect(MockApi.getTodo.withArgs('1').callCount).toBe(1)
+    expect(MockApi.getTodo.withArgs('2').callCount).toBe(1)
+  })
+})
@@ -0,0 +1,117 @@
+const RENDERS = 200
+
+// loads react-frontload afresh, along with the React it renders with, so that it picks up whether
+// async_hooks has AsyncLocalStorage, or only the hook used as a fallback where it does not
+const load = (withAsyncLocalStorage) => {
+  jest.resetModules()
+
+  if (withAsyncLocalStorage) {
+    jest.dontMock('async_hooks')
+  } else {
+    jest.doMock('async_hooks', () => {
+      const { createHook, executionAsyncId, AsyncResource } = jest.requireActual('async_hooks')
+
+      return { createHook, executionAsyncId, AsyncResource }
+    })
+  }
+
+  expect(typeof require('async_hooks').AsyncLocalStorage === 'function').toBe(withAsyncLocalStorage)
+
+  return {
+    React: require('react'),
+    renderToString: require('react-dom/server').renderToString,
+    frontload: require('../src/index')
+  }
+}
+
+// each request loads its own user and todos, through a chain of timers and promises of varying lengths,
+// so that the async calls of the renders running in parallel interleave
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+const getUser = (requestId) => wait(requestId % 7).then(() => ({ name: `user ${requestId}` }))
+const getTodos = (requestId) => wait(requestId % 5).then(() => wait(requestId % 3)).then(() => [`todo of request ${requestId}`])
+
+const runParallelRenders = ({ React, renderToString, frontload }) => {
+  const { frontloadServerRender, frontloadConnect, Frontload } = frontload
+
+  const User = frontloadConnect(({ requestId }) => getUser(requestId), {
+    key: ({ requestId }) => `user:${requestId}`
+  })((props) => React.createElement('span', null, props.frontloadData ? props.frontloadData.name : 'loading...'))
+
+  const Todos = frontloadConnect(({ requestId }) => getTodos(requestId), {
+    key: ({ requestId }) => `todos:${requestId}`
+  })((props) => React.createElement('span', null, props.frontloadData ? props.frontloadData.join() : 'loading...'))
+
+  const App = ({ requestId }) => React.createElement(
+    Frontload,
+    { isServer: true },
+    React.createElement('div', null, React.createElement(User, { requestId }), React.createElement(Todos, { requestId }))
+  )
+
+  const requestIds = []
+  for (let i = 0; i < RENDERS; i++) requestIds.push(i)
+
+  return Promise.all(requestIds.map((requestId) => (
+    wait(requestId % 4).then(() => frontloadServerRender(() => renderToString(React.createElement(App, { requestId })), { withResult: true }))
+  ))).then((results) => {
+    results.forEach(({ rendered, data, errors }, requestId) => {
+      expect(errors).toEqual([])
+      expect(Object.keys(data).sort()).toEqual([`todos:${requestId}`, `user:${requestId}`])
+      expect(rendered).toBe(`<div><span>user ${requestId}</span><span>todo of request ${requestId}</span></div>`)
+    })
+
+    expectNoRendersLeft({ React, renderToString, frontload })
+  })
+}
+
+// a server Frontload provider rendered after all the renders have finished finds none of them
+// still registered, and logs that there are none active, and with the async_hooks fallback,
+// that none of their async resources are still tracked either
+const expectNoRendersLeft = ({ React, renderToString, frontload }) => {
+  const logger = { error: (message, context) => { logger.context = context } }
+  expect(() => renderToString(React.createElement(frontload.Frontload, { isServer: true, logger }))).toThrow('Could not find async context')
+  expect(logger.context.activeRenders).toBe(0)
+  expect(logger.context.asyncResources).toBe(0)
+}
+
+// half the renders throw in their dry-run render, and the other half in their final render
+const runFailingRenders = ({ React, renderToString, frontload }) => {
+  const { frontloadServerRender, frontloadConnect, Frontload } = frontload
+
+  const User = frontloadConnect(({ requestId }) => getUser(requestId), {
+    key: ({ requestId }) => `user:${requestId}`
+  })((props) => React.createElement('span', null, props.frontloadData ? props.frontloadData.name : 'loading...'))
+
+  const requestIds = []
+  for (let i = 0; i < 10; i++) requestIds.push(i)
+
+  return Promise.all(requestIds.map((requestId) => (
+    frontloadServerRender((dryRun) => {
+      const rendered = renderToString(React.createElement(Frontload, { isServer: true }, React.createElement(User, { requestId })))
+      if (dryRun === (requestId % 2 === 0)) throw Error(`render of request ${requestId} failed`)
+
+      return rendered
+    }).then(() => {
+      throw Error(`render of request ${requestId} should have been rejected`)
+    }, (error) => {
+      expect(error.message).toBe(`render of request ${requestId} failed`)
+    })
+  ))).then(() => {
+    expectNoRendersLeft({ React, renderToString, frontload })
+  })
+}
+
+test(`${RENDERS} parallel server renders scoped with AsyncLocalStorage keep their frontloads apart, and clean up`, () => (
+  runParallelRenders(load(true))
+))
+
+test(`${RENDERS} parallel server renders scoped with the async_hooks fallback keep their frontloads apart, and clean up`, () => (
+  runParallelRenders(load(false))
+))
+
+test('server renders scoped with AsyncLocalStorage which throw are rejected, and clean up', () => (
+  runFailingRenders(load(true))
+))
+
+test('server renders scoped with the async_hooks fallback which throw are rejected, and clean up', () => (
+  runFailingRenders(load(false))
+))
@@ -0,0 +1,141 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { advanceTimers } from './helpers'
+
+let version
+const loadStats = sinon.spy(() => {
+  version++
+
+  return Promise.resolve({ visitors: version })
+})
+
+let hidden
+beforeEach(() => {
+  version = 0
+  hidden = false
+  loadStats.resetHistory()
+
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden })
+})
+
+afterEach(() => {
+  delete document.hidden
+  jest.useRealTimers()
+})
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const setHidden = (isHidden) => {
+  hidden = isHidden
+  document.dispatchEvent(new window.Event('visibilitychange'))
+}
+
+const Stats = (props) => (
+  <div className='stats'>{props.frontloadState.loading ? 'loading...' : props.frontloadData.visitors}</div>
+)
+
+const ConnectedStats = frontloadConnect(loadStats, {
+  key: 'stats',
+  frontloadState: true,
+  pollInterval: 30
+})(Stats)
+
+test('Frontloads with pollInterval run again on that interval on the client, passed isPoll', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <ConnectedStats />
+    </Frontload>
+  )
+
+  let callCountAtUnmount
+
+  return advanceTimers(80).then(() => {
+    // on mount, then polled at 30 and 60ms
+    expect(loadStats.callCount).toBe(3)
+    expect(loadStats.firstCall.args[1]).toMatchObject({ isMount: true, isUpdate: false, isPoll: false })
+    expect(loadStats.secondCall.args[1]).toMatchObject({ isMount: false, isUpdate: false, isPoll: true })
+
+    // the data is refreshed in the background, without going back to loading
+    expect(rendered.update().find('div.stats').text()).toBe(`${version}`)
+    expect(rendered.find(Stats).props().frontloadState.loading).toBe(false)
+
+    rendered.unmount()
+    callCountAtUnmount = loadStats.callCount
+
+    return advanceTimers(80)
+  }).then(() => {
+    expect(loadStats.callCount).toBe(callCountAtUnmount)
+  })
+})
+
+test('Polling pauses while the document is hidden, and catches up once it is visible again', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <ConnectedStats />
+    </Frontload>
+  )
+
+  setHidden(true)
+
+  return advanceTimers(80).then(() => {
+    expect(loadStats.callCount).toBe(1)
+
+    setHidden(false)
+    expect(loadStats.callCount).toBe(2)
+
+    rendered.unmount()
+  })
+})
+
+test('Frontloads with pollInterval do not poll on server render', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedStats />
+      </div>
+    </Frontload>
+  )).then(() => wait(80)).then(() => {
+    expect(loadStats.callCount).toBe(1)
+    expect(loadStats.firstCall.args[1]).toMatchObject({ isMount: true, isPoll: false })
+  })
+))
+
+test('Polls are skipped while a call of the frontload is still running, rather than aborting it', () => {
+  jest.useFakeTimers()
+
+  const aborted = []
+  const loadSlowStats = sinon.spy((props, { signal }) => {
+    const call = ++version
+    signal.addEventListener('abort', () => aborted.push(call))
+
+    return new Promise((resolve) => setTimeout(() => resolve({ visitors: call }), 50))
+  })
+
+  const ConnectedSlowStats = frontloadConnect(loadSlowStats, {
+    key: 'slow-stats',
+    frontloadState: true,
+    pollInterval: 30
+  })(Stats)
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <ConnectedSlowStats />
+    </Frontload>
+  )
+
+  return advanceTimers(130).then(() => {
+    // the mount call runs from 0 to 50ms, so the poll at 30ms is skipped. Then the poll at 60ms runs
+    // until 110ms, so the poll at 90ms is skipped, and the poll at 120ms is still running on unmount
+    expect(loadSlowStats.callCount).toBe(3)
+    expect(rendered.update().find('div.stats').text()).toBe('2')
+
+    rendered.unmount()
+    expect(aborted).toEqual([3])
+  })
+})
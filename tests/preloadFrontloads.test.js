@@ -0,0 +1,148 @@
+import React from 'react'
+import { frontloadConnect, usePreloadFrontloads, Frontload } from '../src/index'
+import { mount } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads, advanceTimersUntilSettled } from './helpers'
+
+const getTodo = sinon.spy((id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id}` }), 10)
+}))
+
+beforeEach(() => {
+  getTodo.resetHistory()
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadState.loading ? 'loading...' : props.frontloadData.text}</div>
+)
+
+const TodoPage = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`,
+  frontloadState: true
+})(Todo)
+
+// preloads the page of the todo it links to, as a link would on hover
+let preloadTodoPage
+const TodoLink = (props) => {
+  const preloadFrontloads = usePreloadFrontloads()
+  preloadTodoPage = (options) => preloadFrontloads(<TodoPage todoId={props.todoId} />, options)
+
+  return <a className='link'>{props.todoId}</a>
+}
+
+const App = (props) => (
+  <Frontload isServer={false} noServerRender logger={props.logger}>
+    <div>
+      <TodoLink todoId='2' />
+      {props.showPage ? <TodoPage todoId='2' /> : null}
+    </div>
+  </Frontload>
+)
+
+test('preloadFrontloads runs the frontloads of an element tree ahead of mounting it, which then does not run them again', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(<App showPage={false} />)
+
+  const preloaded = preloadTodoPage()
+
+  expect(getTodo.callCount).toBe(1)
+  expect(getTodo.firstCall.args[0]).toBe('2')
+
+  return advanceTimersUntilSettled(preloaded).then(() => {
+    rendered.setProps({ showPage: true })
+
+    expect(getTodo.callCount).toBe(1)
+
+    return waitForFrontloads()
+  }).then(() => {
+    expect(rendered.update().find('div.todo').text()).toBe('todo 2')
+    expect(getTodo.callCount).toBe(1)
+  })
+})
+
+test('A frontload preloaded while its preloaded call is still fresh is not run again, and the mount uses it only once', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(<App showPage={false} />)
+
+  preloadTodoPage()
+  preloadTodoPage()
+  expect(getTodo.callCount).toBe(1)
+
+  rendered.setProps({ showPage: true })
+  expect(getTodo.callCount).toBe(1)
+
+  return waitForFrontloads().then(() => {
+    rendered.setProps({ showPage: false })
+    rendered.setProps({ showPage: true })
+
+    expect(getTodo.callCount).toBe(2)
+  })
+})
+
+test('A preloaded call older than maxAge is not used by the mount', () => {
+  const rendered = mount(<App showPage={false} />)
+
+  return preloadTodoPage({ maxAge: 0 }).then(() => {
+    rendered.setProps({ showPage: true })
+
+    expect(getTodo.callCount).toBe(2)
+  })
+})
+
+test('Preloading skips a component which cannot be walked on its own, and preloads the rest', () => {
+  const logger = { debug: sinon.spy() }
+  const NeedsRouter = () => {
+    throw Error('You should not use <Route> outside a <Router>')
+  }
+
+  let preloadFrontloads
+  const Preloader = (props) => {
+    preloadFrontloads = usePreloadFrontloads()
+
+    return null
+  }
+
+  mount(
+    <Frontload isServer={false} noServerRender withLogging logger={logger}>
+      <Preloader />
+    </Frontload>
+  )
+
+  return preloadFrontloads(
+    <div>
+      <NeedsRouter />
+      <TodoPage todoId='3' />
+    </div>
+  ).then(() => {
+    expect(getTodo.callCount).toBe(1)
+    expect(getTodo.firstCall.args[0]).toBe('3')
+
+    const skipped = logger.debug.args.find(([message]) => message.includes('subtree was skipped'))
+    expect(skipped[1].error.message).toBe('You should not use <Route> outside a <Router>')
+  })
+})
+
+test('Connected components are passed preloadFrontloads', () => {
+  let preloadFrontloads
+  const Page = frontloadConnect(() => Promise.resolve())((props) => {
+    preloadFrontloads = props.preloadFrontloads
+
+    return null
+  })
+
+  mount(
+    <Frontload isServer={false} noServerRender>
+      <Page />
+    </Frontload>
+  )
+
+  return preloadFrontloads(<TodoPage todoId='4' />).then(() => {
+    expect(getTodo.callCount).toBe(1)
+  })
+})
@@ -0,0 +1,149 @@
+import React from 'react'
+import { createStore, applyMiddleware, compose } from 'redux'
+import { frontloadConnect, frontloadServerRender, frontloadEnhancer, Frontload } from '../src/redux'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads } from './helpers'
+
+const getTodo = sinon.spy((id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id}` }), 10)
+}))
+
+beforeEach(() => {
+  getTodo.resetHistory()
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const todos = (state = {}, action) => (
+  action.type === 'TODO_LOADED'
+    ? Object.assign({}, state, { [action.todo.id]: action.todo })
+    : state
+)
+
+// dispatching a function calls it with dispatch and getState, as with redux-thunk
+const thunk = (store) => (next) => (action) => (
+  typeof action === 'function'
+    ? action(store.dispatch, store.getState)
+    : next(action)
+)
+
+const loadTodo = (id) => (dispatch) => getTodo(id).then((todo) => dispatch({ type: 'TODO_LOADED', todo }))
+
+// the frontloadEnhancer comes first, so that it dispatches through the middleware
+const createTodoStore = (preloadedState) => createStore(todos, preloadedState, compose(frontloadEnhancer, applyMiddleware(thunk)))
+
+// reads the todo from the store passed to it, as a component connected with react-redux would
+const Todo = (props) => {
+  const todo = props.store.getState()[props.todoId]
+
+  return <div className='todo'>{todo ? todo.text : 'loading...'}</div>
+}
+
+const ConnectedTodo = frontloadConnect((props, { dispatch, getState }) => {
+  if (getState()[props.todoId]) return
+
+  // not returned, but the frontload still waits for it, as it was dispatched
+  dispatch(loadTodo(props.todoId))
+})(Todo)
+
+const App = (props) => (
+  <Frontload isServer={props.isServer || false} noServerRender={!props.isServer} store={props.store}>
+    <div>
+      <ConnectedTodo store={props.store} todoId='1' />
+      <ConnectedTodo store={props.store} todoId='2' />
+    </div>
+  </Frontload>
+)
+
+test('The frontload fn is passed dispatch and getState, and the actions it dispatches update the store', () => {
+  jest.useFakeTimers()
+
+  const store = createTodoStore()
+
+  const rendered = mount(<App store={store} />)
+
+  expect(getTodo.callCount).toBe(2)
+
+  return waitForFrontloads().then(() => {
+    expect(Object.keys(store.getState())).toEqual(['1', '2'])
+
+    // rendered again, as react-redux would once the store has changed
+    rendered.setProps({ store })
+    expect(rendered.find('div.todo').first().text()).toBe('todo 1')
+  })
+})
+
+test('frontloadServerRender waits for the actions dispatched, and returns the serialized state of the store', () => {
+  const store = createTodoStore()
+
+  return frontloadServerRender(() => render(<App isServer store={store} />), { store }).then(({ rendered, state }) => {
+    expect(rendered.find('div.todo').first().text()).toBe('todo 1')
+    expect(typeof state).toBe('string')
+    expect(JSON.parse(state)).toEqual(store.getState())
+
+    // the client store is created from the serialized state, so the frontloads do not need to load anything
+    getTodo.resetHistory()
+    mount(<App store={createTodoStore(JSON.parse(state))} />)
+
+    expect(getTodo.callCount).toBe(0)
+  })
+})
+
+test('frontloadServerRender rejects without the store', () => (
+  frontloadServerRender(() => '').then(() => {
+    throw Error('the render should have failed')
+  }, (error) => {
+    expect(error.message).toMatch('must be passed the Redux store')
+  })
+))
+
+test('A dispatched action failing only fails the frontload when the frontload fn lets its failure through', () => {
+  const store = createTodoStore()
+  const failing = (message) => () => Promise.reject(Error(message))
+
+  const HandlingTodo = frontloadConnect((props, { dispatch }) => {
+    dispatch(failing('optional failed')).catch(() => 'handled')
+    dispatch(loadTodo(props.todoId))
+  })(Todo)
+  const FailingTodo = frontloadConnect((props, { dispatch }) => dispatch(failing('required failed')))(Todo)
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer store={store}>
+      <div>
+        <HandlingTodo store={store} todoId='1' />
+        <FailingTodo store={store} todoId='2' />
+      </div>
+    </Frontload>
+  ), { store }).then(({ rendered, errors }) => {
+    expect(rendered.find('div.todo').first().text()).toBe('todo 1')
+    expect(errors.map(({ error }) => error.message)).toEqual(['required failed'])
+  })
+})
+
+test('The frontloadEnhancer tracks the pending actions dispatched by frontload fns', () => {
+  const store = createTodoStore()
+
+  mount(<App store={store} />)
+
+  expect(store.getPendingFrontloadActions()).toHaveLength(2)
+
+  return store.whenFrontloadActionsSettle().then(() => {
+    expect(store.getPendingFrontloadActions()).toHaveLength(0)
+    expect(Object.keys(store.getState())).toEqual(['1', '2'])
+  })
+})
+
+test('Without the frontloadEnhancer, the frontload fn is passed the plain dispatch of the store', () => {
+  jest.useFakeTimers()
+
+  const store = createStore(todos, applyMiddleware(thunk))
+
+  mount(<App store={store} />)
+
+  return waitForFrontloads().then(() => {
+    expect(Object.keys(store.getState())).toEqual(['1', '2'])
+  })
+})
@@ -0,0 +1,100 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads, advanceTimersUntilSettled } from './helpers'
+
+let version
+const getTodo = sinon.spy((id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id} v${version}` }), 10)
+}))
+
+beforeEach(() => {
+  version = 1
+  getTodo.resetHistory()
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const loadTodo = (props) => getTodo(props.todoId)
+
+const ConnectedTodo = frontloadConnect(loadTodo, {
+  key: (props) => `todo:${props.todoId}`,
+  frontloadState: true
+})(Todo)
+
+const ConnectedTodoReloadingOnIdChange = frontloadConnect(loadTodo, {
+  key: 'todo',
+  shouldReload: (prevProps, nextProps) => prevProps.todoId !== nextProps.todoId
+})(Todo)
+
+test('Connected components are passed reloadFrontload, which runs the frontload again on the client', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <ConnectedTodo todoId='1' />
+    </Frontload>
+  )
+
+  return waitForFrontloads().then(() => {
+    expect(rendered.update().find('div.todo').text()).toBe('todo 1 v1')
+    version = 2
+
+    const reloaded = rendered.find(Todo).props().reloadFrontload()
+
+    expect(getTodo.callCount).toBe(2)
+    expect(getTodo.secondCall.args).toEqual(['1'])
+    expect(rendered.update().find(Todo).props().frontloadState.loading).toBe(true)
+
+    return advanceTimersUntilSettled(reloaded)
+  }).then(() => {
+    expect(rendered.update().find('div.todo').text()).toBe('todo 1 v2')
+    expect(rendered.find(Todo).props().frontloadState).toMatchObject({ loading: false, isMount: false, isUpdate: false })
+  })
+})
+
+test('reloadFrontload does nothing on server render', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodo todoId='1' />
+      </div>
+    </Frontload>
+  )).then(() => {
+    expect(getTodo.callCount).toBe(1)
+  })
+))
+
+test('shouldReload decides whether the frontload runs again when props update', () => {
+  jest.useFakeTimers()
+
+  const App = (props) => (
+    <Frontload isServer={false} noServerRender>
+      <ConnectedTodoReloadingOnIdChange {...props} />
+    </Frontload>
+  )
+
+  const rendered = mount(<App todoId='1' selected={false} />)
+
+  return waitForFrontloads().then(() => {
+    rendered.setProps({ todoId: '1', selected: true })
+    expect(getTodo.callCount).toBe(1)
+
+    rendered.setProps({ todoId: '2', selected: true })
+    expect(getTodo.callCount).toBe(2)
+
+    return waitForFrontloads()
+  }).then(() => {
+    expect(rendered.update().find('div.todo').text()).toBe('todo 2 v1')
+
+    // the update caused by the data arriving does not run the frontload again either
+    expect(getTodo.callCount).toBe(2)
+  })
+})
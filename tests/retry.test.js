@@ -0,0 +1,130 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads } from './helpers'
+
+// an api call failing the first `failures` times it is called for a todo
+const createFlakyApi = (failures) => {
+  const calls = {}
+
+  return sinon.spy((id) => new Promise((resolve, reject) => {
+    calls[id] = (calls[id] || 0) + 1
+    const failed = calls[id] <= failures
+
+    setTimeout(() => (failed ? reject(Error(`attempt ${calls[id]} at todo ${id} failed`)) : resolve({ id, text: `todo ${id}` })), 10)
+  }))
+}
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const connectTodo = (getTodo, retry) => frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`,
+  retry
+})(Todo)
+
+const App = (props) => (
+  <Frontload isServer={props.isServer || false} noServerRender={!props.isServer} onError={props.onError}>
+    <div>{props.children}</div>
+  </Frontload>
+)
+
+test('With retry, a frontload which fails is run again after the backoff until it succeeds', () => {
+  jest.useFakeTimers()
+
+  const getTodo = createFlakyApi(2)
+  const backoff = sinon.spy(() => 5)
+  const onError = sinon.spy()
+  const RetriedTodo = connectTodo(getTodo, { attempts: 3, backoff })
+
+  const rendered = mount(<App onError={onError}><RetriedTodo todoId='1' /></App>)
+
+  return waitForFrontloads().then(() => {
+    expect(getTodo.callCount).toBe(3)
+    expect(backoff.args).toEqual([[1], [2]])
+    expect(rendered.update().find('div.todo').text()).toBe('todo 1')
+    expect(onError.callCount).toBe(0)
+  })
+})
+
+test('A frontload which fails all its attempts is passed to onError once, with its component', () => {
+  jest.useFakeTimers()
+
+  const getTodo = createFlakyApi(5)
+  const onError = sinon.spy()
+  const RetriedTodo = connectTodo(getTodo, { attempts: 2, backoff: 0 })
+
+  mount(<App onError={onError}><RetriedTodo todoId='2' /></App>)
+
+  return waitForFrontloads().then(() => {
+    expect(getTodo.callCount).toBe(2)
+    expect(onError.callCount).toBe(1)
+
+    const [error, details] = onError.firstCall.args
+    expect(error.message).toBe('attempt 2 at todo 2 failed')
+    expect(details).toEqual({ componentDisplayName: 'Todo', key: 'todo:2', isServer: false })
+  })
+})
+
+test('shouldRetry decides which errors are retried', () => {
+  jest.useFakeTimers()
+
+  const getTodo = createFlakyApi(5)
+  const shouldRetry = sinon.spy((error) => !error.message.includes('todo 3'))
+  const onError = sinon.spy()
+  const RetriedTodo = connectTodo(getTodo, { attempts: 3, backoff: 0, shouldRetry })
+
+  mount(<App onError={onError}><RetriedTodo todoId='3' /></App>)
+
+  return waitForFrontloads().then(() => {
+    expect(getTodo.callCount).toBe(1)
+    expect(shouldRetry.firstCall.args[1]).toBe(1)
+    expect(onError.callCount).toBe(1)
+  })
+})
+
+test('Without retry, a frontload which fails is passed to onError, and an onError which throws is ignored', () => {
+  jest.useFakeTimers()
+
+  const getTodo = createFlakyApi(1)
+  const onError = sinon.spy(() => {
+    throw Error('reporting failed')
+  })
+  const UnretriedTodo = connectTodo(getTodo)
+
+  const rendered = mount(<App onError={onError}><UnretriedTodo todoId='4' /></App>)
+
+  return waitForFrontloads().then(() => {
+    expect(getTodo.callCount).toBe(1)
+    expect(onError.callCount).toBe(1)
+    expect(rendered.update().find('div.todo').text()).toBe('loading...')
+  })
+})
+
+test('With retry, a frontload is retried on server render too, and final failures are passed to onError', () => {
+  const getTodo = createFlakyApi(1)
+  const onError = sinon.spy()
+  const RetriedTodo = connectTodo(getTodo, 2)
+  const UnretriedTodo = connectTodo(getTodo)
+
+  return frontloadServerRender(() => render(
+    <App isServer onError={onError}>
+      <RetriedTodo todoId='5' />
+      <UnretriedTodo todoId='6' />
+    </App>
+  ), { withResult: true }).then(({ rendered, errors }) => {
+    expect(getTodo.withArgs('5').callCount).toBe(2)
+    expect(getTodo.withArgs('6').callCount).toBe(1)
+    expect(rendered.find('div.todo').first().text()).toBe('todo 5')
+
+    expect(errors).toHaveLength(1)
+    expect(onError.callCount).toBe(1)
+    expect(onError.firstCall.args[1]).toEqual({ componentDisplayName: 'Todo', key: 'todo:6', isServer: true })
+  })
+})
@@ -0,0 +1,220 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, createLRUCache, Frontload } from '../src/index'
+import { render } from 'enzyme'
+import sinon from 'sinon'
+
+let version
+const getTodo = sinon.spy((id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id} v${version}` }), 10)
+}))
+
+beforeEach(() => {
+  version = 1
+  getTodo.resetHistory()
+})
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`
+})(Todo)
+
+const ConnectedUncachedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `uncached-todo:${props.todoId}`,
+  cache: false
+})(Todo)
+
+const serverRender = (cache, todos = <ConnectedTodo todoId='1' />) => frontloadServerRender(() => render(
+  <Frontload isServer>
+    <div>{todos}</div>
+  </Frontload>
+), { cache, withResult: true })
+
+test('Server render serves keyed frontloads from the cache across renders until the ttl passes', () => {
+  const cache = { store: createLRUCache(), ttl: 100 }
+
+  return serverRender(cache).then(({ rendered }) => {
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+    version = 2
+
+    return serverRender(cache)
+  }).then(({ rendered, data }) => {
+    expect(getTodo.callCount).toBe(1)
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+    expect(data).toEqual({ 'todo:1': { id: '1', text: 'todo 1 v1' } })
+
+    return wait(150).then(() => serverRender(cache))
+  }).then(({ rendered }) => {
+    expect(getTodo.callCount).toBe(2)
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v2')
+  })
+})
+
+test('Server render serves stale data from the cache while it revalidates', () => {
+  const cache = { store: createLRUCache(), ttl: 50, staleWhileRevalidate: 1000 }
+
+  return serverRender(cache).then(() => {
+    version = 2
+
+    return wait(100).then(() => serverRender(cache))
+  }).then(({ rendered }) => {
+    // the stale data is served right away, while the frontload runs again in the background
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+    expect(getTodo.callCount).toBe(2)
+
+    return wait(50).then(() => serverRender(cache))
+  }).then(({ rendered }) => {
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v2')
+    expect(getTodo.callCount).toBe(2)
+  })
+})
+
+test('Server render revalidates the stale data of each cache store on its own', () => {
+  const caches = [
+    { store: createLRUCache(), ttl: 50, staleWhileRevalidate: 1000 },
+    { store: createLRUCache(), ttl: 50, staleWhileRevalidate: 1000 }
+  ]
+
+  return Promise.all(caches.map((cache) => serverRender(cache))).then(() => {
+    version = 2
+
+    return wait(100).then(() => Promise.all(caches.map((cache) => serverRender(cache))))
+  }).then(() => {
+    // the same key is stale in both stores, so both are revalidated
+    expect(getTodo.callCount).toBe(4)
+
+    return wait(50).then(() => Promise.all(caches.map((cache) => serverRender(cache))))
+  }).then((results) => {
+    results.forEach(({ rendered }) => expect(rendered.find('div.todo').text()).toBe('todo 1 v2'))
+  })
+})
+
+test('Server render gives up on a revalidation which does not finish within the timeout of the frontload', () => {
+  const cache = { store: createLRUCache(), ttl: 10, staleWhileRevalidate: 1000 }
+  const signals = []
+
+  // only the first call returns, and the revalidations after it hang
+  const ConnectedHangingTodo = frontloadConnect((props, { signal }) => {
+    signals.push(signal)
+
+    return signals.length === 1 ? getTodo(props.todoId) : new Promise(() => {})
+  }, {
+    key: (props) => `hanging-todo:${props.todoId}`,
+    timeout: 30
+  })(Todo)
+
+  return serverRender(cache, <ConnectedHangingTodo todoId='1' />).then(() => (
+    wait(20).then(() => serverRender(cache, <ConnectedHangingTodo todoId='1' />))
+  )).then(({ rendered }) => {
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+    expect(signals).toHaveLength(2)
+    expect(signals[1].aborted).toBe(false)
+
+    return wait(50).then(() => serverRender(cache, <ConnectedHangingTodo todoId='1' />))
+  }).then(({ rendered }) => {
+    // the hung revalidation was aborted at its timeout, so that the stale data is revalidated again
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+    expect(signals[1].aborted).toBe(true)
+    expect(signals).toHaveLength(3)
+  })
+})
+
+test('Server render does not cache frontloads with the cache option false, or without a cache', () => (
+  serverRender({ store: createLRUCache() }, <ConnectedUncachedTodo todoId='1' />)
+    .then(() => serverRender({ store: createLRUCache() }, <ConnectedUncachedTodo todoId='1' />))
+    .then(() => serverRender(undefined))
+    .then(() => serverRender(undefined))
+    .then(() => {
+      expect(getTodo.callCount).toBe(4)
+    })
+))
+
+test('Server render uses a custom store through its get and set, which may be async', () => {
+  const entries = {}
+  const store = {
+    get: sinon.spy((key) => Promise.resolve(entries[key])),
+    set: sinon.spy((key, entry, maxAge) => {
+      entries[key] = entry
+    })
+  }
+  const cache = { store, ttl: 1000, staleWhileRevalidate: 500 }
+
+  return serverRender(cache).then(() => serverRender(cache)).then(({ rendered }) => {
+    expect(getTodo.callCount).toBe(1)
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+
+    expect(store.get.alwaysCalledWith('todo:1')).toBe(true)
+    expect(store.set.callCount).toBe(1)
+    expect(store.set.firstCall.args[1]).toEqual({ data: { id: '1', text: 'todo 1 v1' }, storedAt: expect.any(Number) })
+    expect(store.set.firstCall.args[2]).toBe(1500)
+  })
+})
+
+test('Server render runs the frontload when the store fails', () => {
+  const store = {
+    get: () => Promise.reject(Error('store down')),
+    set: () => { throw Error('store down') }
+  }
+
+  return serverRender({ store }).then(({ rendered, errors }) => {
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+    expect(errors).toEqual([])
+  })
+})
+
+test('createLRUCache evicts the least recently used entry, and expired ones', () => {
+  const lru = createLRUCache({ max: 2 })
+
+  lru.set('a', 1, 1000)
+  lru.set('b', 2, 1000)
+  lru.get('a')
+  lru.set('c', 3, 1000)
+
+  expect(lru.get('b')).toBe(undefined)
+  expect(lru.get('a')).toBe(1)
+  expect(lru.get('c')).toBe(3)
+
+  lru.set('d', 4, 0)
+  expect(lru.get('d')).toBe(undefined)
+  expect(lru.size).toBe(1)
+})
+
+test('Server render gives up on a store which does not answer by the deadline of the render', () => {
+  const store = {
+    get: () => new Promise(() => {}),
+    set: () => {}
+  }
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div><ConnectedTodo todoId='1' /></div>
+    </Frontload>
+  ), { cache: { store }, timeout: 100, withResult: true }).then(({ rendered, errors, timedOut }) => {
+    // the store is given up on at the deadline, after which the frontload has no time left to run
+    expect(getTodo.callCount).toBe(0)
+    expect(rendered.find('div.todo').text()).toBe('loading...')
+    expect(errors).toEqual([])
+    expect(timedOut).toHaveLength(1)
+  })
+})
+
+test('Server render gives up on a store which does not answer within the timeout of the frontload, and runs it', () => {
+  const store = {
+    get: () => new Promise(() => {}),
+    set: () => {}
+  }
+  const ConnectedTimedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+    key: (props) => `timed-todo:${props.todoId}`,
+    timeout: 50
+  })(Todo)
+
+  return serverRender({ store }, <ConnectedTimedTodo todoId='1' />).then(({ rendered, timedOut }) => {
+    expect(getTodo.callCount).toBe(1)
+    expect(rendered.find('div.todo').text()).toBe('todo 1 v1')
+    expect(timedOut).toEqual([])
+  })
+})
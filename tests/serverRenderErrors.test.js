@@ -0,0 +1,117 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { render } from 'enzyme'
+import sinon from 'sinon'
+
+const mockApiCall = ({ value, fail, delay }) => new Promise((resolve, reject) => {
+  setTimeout(() => (fail ? reject(fail) : resolve(value)), delay || 0)
+})
+
+const NotFoundError = (message) => {
+  const error = Error(message)
+  error.status = 404
+
+  return error
+}
+
+const Todo = (props) => (
+  <div className='todo'>{props.store[props.todoId] || 'loading...'}</div>
+)
+Todo.displayName = 'Todo'
+
+const loadTodo = (props) => (
+  mockApiCall({
+    value: `todo ${props.todoId}`,
+    fail: props.missing && NotFoundError(`todo ${props.todoId} not found`)
+  }).then((todo) => {
+    props.store[props.todoId] = todo
+  })
+)
+
+const ConnectedTodo = frontloadConnect(loadTodo)(Todo)
+const CriticalConnectedTodo = frontloadConnect(loadTodo, { critical: true })(Todo)
+
+test('Server render resolves with the frontload errors, tagged with component and Frontload names', () => {
+  const store = {}
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer name='todos'>
+      <div>
+        <ConnectedTodo todoId='1' store={store} />
+        <ConnectedTodo todoId='2' store={store} missing />
+      </div>
+    </Frontload>
+  ), { withResult: true }).then(({ rendered, errors }) => {
+    expect(rendered.find('div.todo').eq(0).text()).toBe('todo 1')
+    expect(rendered.find('div.todo').eq(1).text()).toBe('loading...')
+
+    expect(errors).toHaveLength(1)
+    expect(errors[0].componentDisplayName).toBe('Todo')
+    expect(errors[0].name).toBe('todos')
+    expect(errors[0].critical).toBe(false)
+    expect(errors[0].error.status).toBe(404)
+  })
+})
+
+test('Server render resolves with no errors when all frontloads resolve', () => {
+  const store = {}
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <ConnectedTodo todoId='1' store={store} />
+    </Frontload>
+  ), { withResult: true }).then(({ errors }) => {
+    expect(errors).toEqual([])
+  })
+})
+
+test('Server render rejects with the collected errors on any frontload error when rejectOnError is set', () => {
+  const store = {}
+  const renderMarkup = sinon.spy(() => render(
+    <Frontload isServer name='todos'>
+      <ConnectedTodo todoId='2' store={store} missing />
+    </Frontload>
+  ))
+
+  return frontloadServerRender(renderMarkup, { rejectOnError: true }).then(() => {
+    throw Error('server render should have rejected')
+  }, (error) => {
+    expect(error.message).toMatch('[Todo] under Frontload [todos]: todo 2 not found')
+    expect(error.frontloadErrors).toHaveLength(1)
+    expect(error.frontloadErrors[0].error.status).toBe(404)
+
+    // the final render is never run
+    expect(renderMarkup.callCount).toBe(1)
+  })
+})
+
+test('Server render only rejects on errors from critical frontloads when rejectOnCriticalError is set', () => {
+  const store = {}
+
+  const nonCriticalRender = frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <CriticalConnectedTodo todoId='1' store={store} />
+        <ConnectedTodo todoId='2' store={store} missing />
+      </div>
+    </Frontload>
+  ), { rejectOnCriticalError: true, withResult: true }).then(({ errors }) => {
+    expect(errors).toHaveLength(1)
+  })
+
+  const criticalRender = frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <CriticalConnectedTodo todoId='3' store={store} missing />
+        <ConnectedTodo todoId='4' store={store} />
+      </div>
+    </Frontload>
+  ), { rejectOnCriticalError: true }).then(() => {
+    throw Error('server render should have rejected')
+  }, (error) => {
+    expect(error.frontloadErrors).toHaveLength(1)
+    expect(error.frontloadErrors[0].critical).toBe(true)
+  })
+
+  return Promise.all([nonCriticalRender, criticalRender])
+})
@@ -0,0 +1,79 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { render } from 'enzyme'
+
+const mockApiCall = ({ value, fail, delay = 10 }) => new Promise((resolve, reject) => {
+  setTimeout(() => (fail ? reject(fail) : resolve(value)), delay)
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData || 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => mockApiCall(props), {
+  key: (props) => `todo:${props.value}`,
+  timeout: 50
+})(Todo)
+
+// the events of one frontload, without their timings
+const eventsFor = (events, key) => events
+  .filter((event) => event.key === key)
+  .map(({ type, outcome }) => outcome ? `${type}:${outcome}` : type)
+
+test('Server render reports structured events to onEvent', () => {
+  const events = []
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer name='todos'>
+      <div>
+        <ConnectedTodo value='1' />
+        <ConnectedTodo value='2' fail={Error('todo 2 failed')} />
+        <ConnectedTodo value='3' delay={5000} />
+      </div>
+    </Frontload>
+  ), { onEvent: (event) => events.push(event) }).then(() => {
+    const asyncIds = events.map((event) => event.asyncId)
+    expect(asyncIds[0]).toEqual(expect.any(Number))
+    expect(asyncIds.every((asyncId) => asyncId === asyncIds[0])).toBe(true)
+
+    expect(events[0]).toEqual({ asyncId: asyncIds[0], type: 'passStart', pass: 1 })
+    expect(events[events.length - 1]).toEqual({ asyncId: asyncIds[0], type: 'passEnd', pass: 1, ran: 3, duration: expect.any(Number) })
+
+    expect(eventsFor(events, 'todo:1')).toEqual(['frontloadEnqueued', 'frontloadStarted', 'frontloadResolved:resolved'])
+    expect(eventsFor(events, 'todo:2')).toEqual(['frontloadEnqueued', 'frontloadStarted', 'frontloadRejected:rejected'])
+    expect(eventsFor(events, 'todo:3')).toEqual(['frontloadEnqueued', 'frontloadStarted', 'frontloadTimedOut:timedOut'])
+
+    const rejected = events.find((event) => event.type === 'frontloadRejected')
+    expect(rejected).toEqual({
+      asyncId: asyncIds[0],
+      type: 'frontloadRejected',
+      name: 'todos',
+      componentDisplayName: 'Todo',
+      key: 'todo:2',
+      duration: expect.any(Number),
+      outcome: 'rejected',
+      error: Error('todo 2 failed')
+    })
+
+    const timedOut = events.find((event) => event.type === 'frontloadTimedOut')
+    expect(timedOut.duration).toBeGreaterThanOrEqual(45)
+  })
+})
+
+test('Server render carries on when onEvent throws', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodo value='1' />
+      </div>
+    </Frontload>
+  ), {
+    onEvent: () => {
+      throw Error('tracer down')
+    },
+    withResult: true
+  }).then(({ rendered, errors }) => {
+    expect(rendered.find('div.todo').text()).toBe('1')
+    expect(errors).toEqual([])
+  })
+))
@@ -0,0 +1,98 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, Frontload } from '../src/index'
+import { render } from 'enzyme'
+
+// resolves after the given delay, unless aborted through the signal first
+const mockApiCall = (value, delay, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => resolve(value), delay)
+
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(Error('aborted'))
+    })
+  }
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.store[props.todoId] || 'loading...'}</div>
+)
+Todo.displayName = 'Todo'
+
+let aborted
+beforeEach(() => {
+  aborted = []
+})
+
+const loadTodo = (props, { signal }) => {
+  signal.addEventListener('abort', () => aborted.push(props.todoId))
+
+  return mockApiCall(`todo ${props.todoId}`, props.delay, signal).then((todo) => {
+    props.store[props.todoId] = todo
+  })
+}
+
+const ConnectedTodo = frontloadConnect(loadTodo)(Todo)
+const ConnectedTodoWithTimeout = frontloadConnect(loadTodo, { timeout: 50 })(Todo)
+
+test('Server render continues without a frontload that passes its own timeout', () => {
+  const store = {}
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer name='todos'>
+      <div>
+        <ConnectedTodoWithTimeout todoId='1' store={store} delay={10} />
+        <ConnectedTodoWithTimeout todoId='2' store={store} delay={5000} />
+      </div>
+    </Frontload>
+  ), { withResult: true }).then(({ rendered, errors, timedOut }) => {
+    expect(rendered.find('div.todo').eq(0).text()).toBe('todo 1')
+    expect(rendered.find('div.todo').eq(1).text()).toBe('loading...')
+
+    expect(timedOut).toEqual([{ componentDisplayName: 'Todo', name: 'todos' }])
+    expect(aborted).toEqual(['2'])
+
+    // the rejection caused by the abort is not reported as an error
+    expect(errors).toEqual([])
+  })
+})
+
+test('Server render continues without any frontload still running at the global timeout', () => {
+  const store = {}
+  const startedAt = Date.now()
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodo todoId='1' store={store} delay={10} />
+        <ConnectedTodo todoId='2' store={store} delay={5000} />
+        <ConnectedTodo todoId='3' store={store} delay={5000} />
+      </div>
+    </Frontload>
+  ), { timeout: 100, withResult: true }).then(({ rendered, timedOut }) => {
+    expect(Date.now() - startedAt).toBeLessThan(1000)
+
+    expect(rendered.find('div.todo').eq(0).text()).toBe('todo 1')
+    expect(rendered.find('div.todo').eq(1).text()).toBe('loading...')
+    expect(rendered.find('div.todo').eq(2).text()).toBe('loading...')
+
+    expect(timedOut).toHaveLength(2)
+    expect(aborted.sort()).toEqual(['2', '3'])
+  })
+})
+
+test('Server render reports no timeouts when all frontloads finish in time', () => {
+  const store = {}
+
+  return frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <ConnectedTodoWithTimeout todoId='1' store={store} delay={10} />
+      </div>
+    </Frontload>
+  ), { timeout: 1000, withResult: true }).then(({ rendered, timedOut }) => {
+    expect(rendered.find('div.todo').text()).toBe('todo 1')
+    expect(timedOut).toEqual([])
+    expect(aborted).toEqual([])
+  })
+})
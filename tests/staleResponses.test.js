@@ -0,0 +1,147 @@
+import React from 'react'
+import { frontloadConnect, useFrontload, Frontload } from '../src/index'
+import { mount } from 'enzyme'
+import { waitForFrontloads } from './helpers'
+
+let aborted
+beforeEach(() => {
+  aborted = []
+})
+
+// resolves after a delay depending on the todo, so that an older call can resolve after a newer one.
+// It does not cancel itself when aborted, so that what outdated calls resolve with has to be ignored
+const getTodo = (id, signal) => {
+  signal.addEventListener('abort', () => aborted.push(id))
+
+  return new Promise((resolve) => {
+    setTimeout(() => resolve({ id, text: `todo ${id}` }), id === 'slow' ? 40 : 10)
+  })
+}
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props, { signal }) => getTodo(props.todoId, signal), {
+  key: 'todo',
+  onUpdate: true,
+  frontloadState: true
+})(Todo)
+
+const HookTodo = (props) => {
+  const { data, loading } = useFrontload('hook-todo', ({ signal }) => getTodo(props.todoId, signal), [props.todoId])
+
+  return <div className='todo'>{loading ? 'loading...' : data.text}</div>
+}
+
+const App = (props) => (
+  <Frontload isServer={false} noServerRender>
+    {props.useHook ? <HookTodo todoId={props.todoId} /> : <ConnectedTodo todoId={props.todoId} />}
+  </Frontload>
+)
+
+test('Connected components ignore what an outdated frontload call resolves with, and abort it', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(<App todoId='slow' />)
+  rendered.setProps({ todoId: 'fast' })
+
+  expect(aborted).toEqual(['slow'])
+
+  return waitForFrontloads().then(() => {
+    rendered.update()
+
+    expect(rendered.find('div.todo').text()).toBe('todo fast')
+    expect(rendered.find(Todo).props().frontloadState.loading).toBe(false)
+  })
+})
+
+test('useFrontload ignores what an outdated fn call resolves with, and aborts it', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(<App useHook todoId='slow' />)
+  rendered.setProps({ useHook: true, todoId: 'fast' })
+
+  expect(aborted).toEqual(['slow'])
+
+  return waitForFrontloads().then(() => {
+    expect(rendered.update().find('div.todo').text()).toBe('todo fast')
+  })
+})
+
+test('Frontload calls still running are aborted on unmount', () => {
+  const rendered = mount(
+    <div>
+      <App todoId='slow' />
+      <App useHook todoId='fast' />
+    </div>
+  )
+
+  rendered.unmount()
+
+  expect(aborted.sort()).toEqual(['fast', 'slow'])
+})
+
+test('An update which does not run the frontload does not abort the call running', () => {
+  jest.useFakeTimers()
+
+  const ConnectedTodoOnMountOnly = frontloadConnect((props, { signal }) => getTodo(props.todoId, signal), {
+    key: 'todo'
+  })(Todo)
+
+  const rendered = mount(
+    <Frontload isServer={false} noServerRender>
+      <ConnectedTodoOnMountOnly todoId='slow' />
+    </Frontload>
+  )
+
+  rendered.setProps({ children: <ConnectedTodoOnMountOnly todoId='slow' selected /> })
+
+  return waitForFrontloads().then(() => {
+    expect(aborted).toEqual([])
+    expect(rendered.update().find('div.todo').text()).toBe('todo slow')
+  })
+})
+
+test('A keyed call shared by several components is only aborted once none of them need it', () => {
+  jest.useFakeTimers()
+
+  let calls = 0
+  const SharedTodo = frontloadConnect((props, { signal }) => {
+    calls++
+
+    return getTodo(props.todoId, signal)
+  }, {
+    key: 'todo',
+    frontloadState: true
+  })(Todo)
+
+  const renderTodos = (todos) => (
+    <Frontload isServer={false} noServerRender>
+      <div>{todos.map((id) => <SharedTodo key={id} todoId='slow' />)}</div>
+    </Frontload>
+  )
+
+  const rendered = mount(renderTodos(['first', 'second']))
+  rendered.setProps({ children: renderTodos(['second']).props.children })
+
+  // the second component still shares the call the first one made
+  expect(aborted).toEqual([])
+
+  return waitForFrontloads().then(() => {
+    rendered.update()
+
+    expect(calls).toBe(1)
+    expect(rendered.find('div.todo').text()).toBe('todo slow')
+    expect(rendered.find(Todo).props().frontloadState.error).toBe(null)
+
+    const remounted = mount(renderTodos(['first', 'second']))
+    remounted.unmount()
+
+    expect(aborted).toEqual(['slow'])
+  })
+})
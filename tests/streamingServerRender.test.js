@@ -0,0 +1,151 @@
+import React from 'react'
+import { renderToString } from 'react-dom/server'
+import vm from 'vm'
+import { frontloadServerRender, frontloadServerRenderStream, frontloadConnect, Frontload } from '../src/index'
+
+const getTodo = (id, delay) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id}` }), delay)
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => getTodo(props.todoId, props.delay), {
+  key: (props) => `todo:${props.todoId}`
+})(Todo)
+
+const App = () => (
+  <div className='app'>
+    <Frontload isServer name='slow'>
+      <ConnectedTodo todoId='1' delay={60} />
+    </Frontload>
+    <Frontload isServer name='fast'>
+      <div>
+        <ConnectedTodo todoId='2' delay={10} />
+        <Frontload isServer name='nested'>
+          <ConnectedTodo todoId='3' delay={30} />
+        </Frontload>
+      </div>
+    </Frontload>
+  </div>
+)
+
+const renderApp = () => renderToString(<App />)
+
+// reads the whole stream, keeping each chunk sent separately
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = []
+
+  stream.on('data', (chunk) => chunks.push(chunk.toString()))
+  stream.on('end', () => resolve(chunks))
+  stream.on('error', reject)
+})
+
+// puts the streamed markup in the page and runs its scripts, as a browser receiving the stream would,
+// against the window and document of the page
+const applyStream = (chunks) => {
+  const root = document.createElement('div')
+  document.body.appendChild(root)
+
+  for (let i = 0; i < chunks.length; i++) {
+    root.insertAdjacentHTML('beforeend', chunks[i])
+
+    const scripts = root.querySelectorAll('script')
+    for (let j = 0; j < scripts.length; j++) {
+      vm.runInNewContext(scripts[j].textContent, { window, document })
+      scripts[j].parentNode.removeChild(scripts[j])
+    }
+  }
+
+  return root
+}
+
+afterEach(() => {
+  document.body.innerHTML = ''
+  delete window.__FRONTLOAD_DATA__
+  delete window.__frontloadChunk
+})
+
+test('Streamed server render sends the shell first, then each Frontload subtree as its queue resolves', () => {
+  const stream = frontloadServerRenderStream(renderApp)
+
+  return Promise.all([readStream(stream), stream.result]).then(([chunks, { errors, data }]) => {
+    expect(chunks).toHaveLength(4)
+
+    // the shell has every subtree loading
+    expect(chunks[0].match(/loading\.\.\./g)).toHaveLength(3)
+    expect(chunks[0]).toContain('<template data-frontload-start="0"></template>')
+
+    // then the subtrees follow in the order they resolve, each with the data which came with it
+    expect(chunks[1]).toContain('<template id="frontload-chunk-1">')
+    expect(chunks[1]).toContain('todo 2')
+    expect(chunks[1]).toContain('__frontloadChunk(1,{"todo:2":{"id":"2","text":"todo 2"}})')
+
+    expect(chunks[2]).toContain('<template id="frontload-chunk-2">')
+    expect(chunks[2]).toContain('__frontloadChunk(2,{"todo:3":{"id":"3","text":"todo 3"}})')
+
+    expect(chunks[3]).toContain('<template id="frontload-chunk-0">')
+    expect(chunks[3]).toContain('__frontloadChunk(0,{"todo:1":{"id":"1","text":"todo 1"}})')
+
+    expect(errors).toEqual([])
+    expect(data).toEqual({
+      'todo:1': { id: '1', text: 'todo 1' },
+      'todo:2': { id: '2', text: 'todo 2' },
+      'todo:3': { id: '3', text: 'todo 3' }
+    })
+  })
+})
+
+test('Streamed server render ends with the same page and data as a server render', () => {
+  const stream = frontloadServerRenderStream(renderApp)
+
+  return readStream(stream).then((chunks) => {
+    const root = applyStream(chunks)
+
+    return frontloadServerRender(renderApp, { withResult: true }).then(({ rendered, data }) => {
+      expect(root.innerHTML).toBe(rendered)
+      expect(window.__FRONTLOAD_DATA__).toEqual(data)
+    })
+  })
+})
+
+test('Streamed server render reports an error in the render on the stream', () => {
+  const stream = frontloadServerRenderStream(() => {
+    throw Error('render failed')
+  })
+
+  return readStream(stream).then(() => {
+    throw Error('the stream should have failed')
+  }, (error) => {
+    expect(error.message).toBe('render failed')
+
+    return stream.result['catch']((error) => error)
+  }).then((error) => {
+    expect(error.message).toBe('render failed')
+  })
+})
+
+test('Streamed server render fails on the options of server render it does not support', () => {
+  const stream = frontloadServerRenderStream(renderApp, { maxPasses: 3, rejectOnError: true })
+
+  return readStream(stream).then(() => {
+    throw Error('the stream should have failed')
+  }, (error) => {
+    expect(error.message).toBe('frontloadServerRenderStream does not support the [maxPasses], [rejectOnError] option(s) of frontloadServerRender')
+
+    return stream.result['catch']((error) => error)
+  }).then((error) => {
+    expect(error.message).toMatch('does not support the [maxPasses], [rejectOnError]')
+  })
+})
+
+test('Streamed server render takes the withLogging flag as its second argument', () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {})
+  const stream = frontloadServerRenderStream(renderApp, true)
+
+  return readStream(stream).then(() => stream.result).then(() => {
+    expect(log).toHaveBeenCalledWith(expect.stringMatching('stream done'))
+    log.mockRestore()
+  })
+})
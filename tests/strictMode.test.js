@@ -0,0 +1,76 @@
+import React from 'react'
+import { frontloadServerRender, frontloadConnect, useFrontload, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads } from './helpers'
+
+const getTodo = (id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id}` }), 10)
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`
+})(Todo)
+
+const HookTodo = (props) => {
+  const { data } = useFrontload(`hook-todo:${props.todoId}`, () => getTodo(props.todoId), [props.todoId])
+
+  return <div className='todo'>{data ? data.text : 'loading...'}</div>
+}
+
+const App = (props) => (
+  <React.StrictMode>
+    <Frontload {...props}>
+      <div>
+        <ConnectedTodo todoId='1' />
+        <HookTodo todoId='2' />
+      </div>
+    </Frontload>
+  </React.StrictMode>
+)
+
+let consoleError, consoleWarn
+beforeEach(() => {
+  consoleError = sinon.stub(console, 'error')
+  consoleWarn = sinon.stub(console, 'warn')
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+  consoleError.restore()
+  consoleWarn.restore()
+})
+
+const assertNoWarnings = () => {
+  expect(consoleError.args.filter((args) => !/wrapped in act/.test(args[0]))).toEqual([])
+  expect(consoleWarn.args).toEqual([])
+}
+
+test('Client render under StrictMode logs no warnings', () => {
+  jest.useFakeTimers()
+
+  const rendered = mount(<App isServer={false} noServerRender />)
+
+  return waitForFrontloads().then(() => {
+    expect(rendered.update().find('div.todo').map((todo) => todo.text())).toEqual(['todo 1', 'todo 2'])
+
+    assertNoWarnings()
+  })
+})
+
+test('Server render under StrictMode logs no warnings', () => (
+  frontloadServerRender(() => render(<App isServer />)).then((rendered) => {
+    expect(rendered.find('div.todo').eq(0).text()).toBe('todo 1')
+    expect(rendered.find('div.todo').eq(1).text()).toBe('todo 2')
+
+    assertNoWarnings()
+  })
+))
+
+test('Connected components throw outside of the Frontload provider', () => {
+  expect(() => render(<ConnectedTodo todoId='1' />)).toThrow('frontloadConnect component [Todo] must be rendered under the Frontload provider')
+})
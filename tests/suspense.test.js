@@ -0,0 +1,158 @@
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { frontloadServerRender, frontloadConnect, usePreloadFrontloads, Frontload } from '../src/index'
+import { render } from 'enzyme'
+import sinon from 'sinon'
+import { waitForFrontloads } from './helpers'
+
+const getTodo = sinon.spy((id) => new Promise((resolve, reject) => {
+  setTimeout(() => (id === 'missing' ? reject(Error(`todo ${id} not found`)) : resolve({ id, text: `todo ${id}` })), 10)
+}))
+
+beforeEach(() => {
+  getTodo.resetHistory()
+})
+
+// components which suspend are rendered with react-dom itself, as enzyme does not support them
+let container
+beforeEach(() => {
+  container = document.createElement('div')
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+  ReactDOM.unmountComponentAtNode(container)
+})
+
+const mount = (element) => {
+  ReactDOM.render(element, container)
+
+  return (selector) => container.querySelector(selector)
+}
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData.text}</div>
+)
+
+const SuspenseTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`,
+  suspense: true
+})(Todo)
+
+class ErrorBoundary extends React.Component {
+  state = { error: null }
+
+  static getDerivedStateFromError (error) {
+    return { error }
+  }
+
+  render () {
+    return this.state.error
+      ? <div className='error'>{this.state.error.message}</div>
+      : this.props.children
+  }
+}
+
+const App = (props) => (
+  <Frontload isServer={false} noServerRender>
+    <ErrorBoundary>
+      <React.Suspense fallback={<div className='fallback'>loading...</div>}>
+        {props.children}
+      </React.Suspense>
+    </ErrorBoundary>
+  </Frontload>
+)
+
+test('In suspense mode, a component shows the Suspense fallback while its frontload runs on mount, then renders with its data', () => {
+  jest.useFakeTimers()
+
+  const find = mount(<App><SuspenseTodo todoId='1' /></App>)
+
+  expect(find('div.fallback')).not.toBe(null)
+  expect(getTodo.callCount).toBe(1)
+
+  return waitForFrontloads().then(() => {
+    expect(find('div.fallback')).toBe(null)
+    expect(find('div.todo').textContent).toBe('todo 1')
+    expect(getTodo.callCount).toBe(1)
+  })
+})
+
+test('In suspense mode, a frontload which fails throws its error to the nearest error boundary, and runs again on the next mount', () => {
+  jest.useFakeTimers()
+
+  const find = mount(<App><SuspenseTodo todoId='missing' /></App>)
+
+  return waitForFrontloads().then(() => {
+    expect(find('div.error').textContent).toBe('todo missing not found')
+    expect(getTodo.callCount).toBe(1)
+
+    // mounted again, the frontload runs again rather than the error being thrown straight away
+    ReactDOM.unmountComponentAtNode(container)
+    mount(<App><SuspenseTodo todoId='missing' /></App>)
+
+    expect(find('div.fallback')).not.toBe(null)
+    expect(getTodo.callCount).toBe(2)
+
+    return waitForFrontloads()
+  })
+})
+
+test('In suspense mode, a frontload which fails is passed in frontloadState if it is tracked', () => {
+  jest.useFakeTimers()
+
+  const TrackedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+    suspense: true,
+    Error: (props) => <div className='todo-error'>{props.frontloadState.error.message}</div>
+  })(Todo)
+
+  const find = mount(<App><TrackedTodo todoId='missing' /></App>)
+  expect(find('div.fallback')).not.toBe(null)
+
+  return waitForFrontloads().then(() => {
+    expect(find('div.todo-error').textContent).toBe('todo missing not found')
+    expect(find('div.error')).toBe(null)
+  })
+})
+
+test('In suspense mode, a component whose frontload was preloaded and has finished does not suspend', () => {
+  let preloadFrontloads
+  const Preloader = () => {
+    preloadFrontloads = usePreloadFrontloads()
+
+    return null
+  }
+
+  const Page = (props) => (
+    <App>
+      <Preloader />
+      {props.showTodo ? <SuspenseTodo todoId='2' /> : null}
+    </App>
+  )
+
+  mount(<Page showTodo={false} />)
+
+  return preloadFrontloads(<SuspenseTodo todoId='2' />).then(() => {
+    const find = mount(<Page showTodo />)
+
+    expect(find('div.fallback')).toBe(null)
+    expect(find('div.todo').textContent).toBe('todo 2')
+    expect(getTodo.callCount).toBe(1)
+  })
+})
+
+test('In suspense mode, frontloads are still queued and run on server render', () => {
+  const ServerApp = () => (
+    <Frontload isServer>
+      <div>
+        <SuspenseTodo todoId='3' />
+      </div>
+    </Frontload>
+  )
+
+  return frontloadServerRender(() => render(<ServerApp />), { withResult: true }).then(({ rendered, data }) => {
+    expect(rendered.find('div.todo').text()).toBe('todo 3')
+    expect(data).toEqual({ 'todo:3': { id: '3', text: 'todo 3' } })
+    expect(getTodo.callCount).toBe(1)
+  })
+})
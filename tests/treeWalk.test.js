@@ -0,0 +1,166 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { frontloadServerRender, frontloadConnect, useFrontload, Frontload } from '../src/index'
+import { render } from 'enzyme'
+import sinon from 'sinon'
+
+const getTodo = sinon.spy((id) => new Promise((resolve) => {
+  setTimeout(() => resolve({ id, text: `todo ${id}` }), 10)
+}))
+
+beforeEach(() => {
+  getTodo.resetHistory()
+})
+
+const Todo = (props) => (
+  <div className='todo'>{props.frontloadData ? props.frontloadData.text : 'loading...'}</div>
+)
+
+const ConnectedTodo = frontloadConnect((props) => getTodo(props.todoId), {
+  key: (props) => `todo:${props.todoId}`
+})(Todo)
+
+const HookTodo = (props) => {
+  const { data } = useFrontload(`hook-todo:${props.todoId}`, () => getTodo(props.todoId))
+  const [prefix] = React.useState(() => 'hook ')
+  const text = React.useMemo(() => (data ? `${prefix}${data.text}` : 'loading...'), [data, prefix])
+
+  return <div className='todo'>{text}</div>
+}
+
+// the text of each todo in the markup rendered
+const todoTexts = (rendered) => rendered.find('div.todo').map((i, todo) => todo.children[0].data).get()
+
+const TodoIdContext = React.createContext('none')
+
+// a class component using legacy context and componentWillMount, as older libraries such as react-router do
+class LegacyTodoIdProvider extends React.Component {
+  static childContextTypes = { todoId: PropTypes.string }
+
+  componentWillMount () {
+    this.setState({ todoId: this.props.todoId })
+  }
+
+  getChildContext () {
+    return { todoId: this.state.todoId }
+  }
+
+  render () {
+    return this.props.children
+  }
+}
+
+const LegacyContextTodo = (props, context) => <ConnectedTodo todoId={context.todoId} />
+LegacyContextTodo.contextTypes = { todoId: PropTypes.string }
+
+const ForwardRefTodo = React.forwardRef((props, ref) => <ConnectedTodo todoId={props.todoId} />)
+const MemoTodo = React.memo(HookTodo)
+
+const App = (props) => (
+  <Frontload isServer>
+    <div>
+      <React.Fragment>
+        {['1', '2'].map((todoId) => <ConnectedTodo key={todoId} todoId={todoId} />)}
+      </React.Fragment>
+      <TodoIdContext.Provider value='3'>
+        <TodoIdContext.Consumer>
+          {(todoId) => <HookTodo todoId={todoId} />}
+        </TodoIdContext.Consumer>
+      </TodoIdContext.Provider>
+      <LegacyTodoIdProvider todoId='4'>
+        <LegacyContextTodo />
+      </LegacyTodoIdProvider>
+      <ForwardRefTodo todoId='5' />
+      <MemoTodo todoId='6' />
+      <section className='static'>
+        <ConnectedTodo todoId='7' />
+      </section>
+    </div>
+  </Frontload>
+)
+
+test('With walk, frontloads are collected by walking the element tree, and the render callback only renders the final markup', () => {
+  const renderMarkup = sinon.spy((dryRun) => render(<App />))
+
+  return frontloadServerRender(renderMarkup, { walk: () => <App />, withResult: true }).then(({ rendered, data }) => {
+    expect(renderMarkup.callCount).toBe(1)
+    expect(renderMarkup.firstCall.args[0]).toBe(false)
+
+    expect(getTodo.args.map(([id]) => id).sort()).toEqual(['1', '2', '3', '4', '5', '6', '7'])
+    expect(Object.keys(data)).toHaveLength(7)
+    expect(todoTexts(rendered)).toEqual([
+      'todo 1', 'todo 2', 'hook todo 3', 'todo 4', 'todo 5', 'hook todo 6', 'todo 7'
+    ])
+  })
+})
+
+test('skipWalk stops the walk at subtrees known to have no frontloads', () => (
+  frontloadServerRender(() => render(<App />), {
+    walk: () => <App />,
+    skipWalk: (element) => element.props.className === 'static'
+  }).then((rendered) => {
+    expect(getTodo.withArgs('7').callCount).toBe(0)
+    expect(rendered.find('section.static div.todo').text()).toBe('loading...')
+  })
+))
+
+test('With walk, multi-pass server render walks the tree again each pass', () => {
+  const store = { todos: null }
+
+  const TodoList = frontloadConnect(() => (
+    getTodo('list').then(() => {
+      store.todos = ['1', '2']
+    })
+  ))(() => (
+    <div>
+      {store.todos ? store.todos.map((todoId) => <ConnectedTodo key={todoId} todoId={todoId} />) : 'loading...'}
+    </div>
+  ))
+
+  const Page = () => (
+    <Frontload isServer>
+      <TodoList />
+    </Frontload>
+  )
+
+  return frontloadServerRender(() => render(<Page />), { walk: () => <Page />, maxPasses: 3 }).then((rendered) => {
+    expect(getTodo.callCount).toBe(3)
+    expect(todoTexts(rendered)).toEqual(['todo 1', 'todo 2'])
+  })
+})
+
+test('With walk and explicitContext, the context is passed to walk', () => (
+  frontloadServerRender((dryRun, context) => render(
+    <Frontload isServer context={context}>
+      <ConnectedTodo todoId='1' />
+    </Frontload>
+  ), {
+    explicitContext: true,
+    walk: (context) => (
+      <Frontload isServer context={context}>
+        <ConnectedTodo todoId='1' />
+      </Frontload>
+    )
+  }).then((rendered) => {
+    expect(rendered.text()).toBe('todo 1')
+  })
+))
+
+test('The walk relies on the hooks dispatcher of React, and fails loudly without it', () => {
+  const internals = React.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED
+
+  // fails as soon as a version of React the walk does not support is installed
+  expect(internals.ReactCurrentDispatcher).toEqual({ current: null })
+
+  const { ReactCurrentDispatcher } = internals
+  delete internals.ReactCurrentDispatcher
+  const restoreDispatcher = () => { internals.ReactCurrentDispatcher = ReactCurrentDispatcher }
+
+  // like an error in a dry-run render, it fails the walk of the first pass straight away
+  const rendering = frontloadServerRender(() => render(<App />), { walk: () => <App /> })
+  rendering.then(restoreDispatcher, restoreDispatcher)
+
+  return expect(rendering).rejects.toThrow(
+    `walking the element tree needs the hooks dispatcher of React 16.8 and up, which React ${React.version} does not expose`
+  )
+})
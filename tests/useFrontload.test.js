@@ -0,0 +1,141 @@
+import React from 'react'
+import { frontloadServerRender, useFrontload, Frontload } from '../src/index'
+import { mount, render } from 'enzyme'
+import { act } from 'react-dom/test-utils'
+import sinon from 'sinon'
+import { waitForFrontloads, advanceTimersUntilSettled } from './helpers'
+
+const getTodo = sinon.spy((id) => new Promise((resolve, reject) => {
+  setTimeout(() => (id === 'missing' ? reject(Error('not found')) : resolve({ id, text: `todo ${id}` })), 10)
+}))
+
+beforeEach(() => {
+  getTodo.resetHistory()
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+let latestReload
+
+const Todo = (props) => {
+  const { data, error, loading, reload } = useFrontload(`todo:${props.todoId}`, () => getTodo(props.todoId), [props.todoId])
+  latestReload = reload
+
+  return (
+    <div className='todo'>
+      {loading ? 'loading...' : error ? error.message : data.text}
+    </div>
+  )
+}
+
+test('useFrontload fn is queued and run on server render, and its data returned', () => (
+  frontloadServerRender(() => render(
+    <Frontload isServer>
+      <div>
+        <Todo todoId='1' />
+        <Todo todoId='missing' />
+      </div>
+    </Frontload>
+  ), { withResult: true }).then(({ rendered, data, errors }) => {
+    expect(getTodo.callCount).toBe(2)
+
+    expect(rendered.find('div.todo').eq(0).text()).toBe('todo 1')
+    expect(rendered.find('div.todo').eq(1).text()).toBe('not found')
+
+    expect(data).toEqual({ 'todo:1': { id: '1', text: 'todo 1' } })
+    expect(errors[0].componentDisplayName).toBe('useFrontload(todo:missing)')
+  })
+))
+
+test('useFrontload uses the data from server render on first client render, without running the fn', () => {
+  const rendered = mount(
+    <Frontload isServer={false} initialData={{ 'todo:1': { id: '1', text: 'todo 1' } }}>
+      <Todo todoId='1' />
+    </Frontload>
+  )
+
+  expect(getTodo.callCount).toBe(0)
+  expect(rendered.find('div.todo').text()).toBe('todo 1')
+})
+
+test('useFrontload runs the fn on mount and when deps change on the client, and on reload', () => {
+  jest.useFakeTimers()
+
+  const App = (props) => (
+    <Frontload isServer={false} noServerRender>
+      <Todo todoId={props.todoId} />
+    </Frontload>
+  )
+
+  const rendered = mount(<App todoId='1' />)
+
+  expect(getTodo.withArgs('1').callCount).toBe(1)
+  expect(rendered.find('div.todo').text()).toBe('loading...')
+
+  return waitForFrontloads().then(() => {
+    expect(rendered.update().find('div.todo').text()).toBe('todo 1')
+
+    // a rerender with the same deps does not run the fn again
+    rendered.setProps({ todoId: '1' })
+    expect(getTodo.callCount).toBe(1)
+
+    rendered.setProps({ todoId: '2' })
+    expect(getTodo.withArgs('2').callCount).toBe(1)
+
+    return waitForFrontloads()
+  }).then(() => {
+    expect(rendered.update().find('div.todo').text()).toBe('todo 2')
+
+    // reload sets the state to loading straight away, so it is called in act too
+    let reloading
+    act(() => { reloading = latestReload() })
+
+    return advanceTimersUntilSettled(reloading)
+  }).then(() => {
+    expect(getTodo.withArgs('2').callCount).toBe(2)
+  })
+})
+
+test('useFrontload reload runs the fn as a reload, and is the same function on every render', () => {
+  jest.useFakeTimers()
+
+  const load = sinon.spy(() => Promise.resolve({ text: 'todo' }))
+  const reloads = []
+
+  const ReloadableTodo = (props) => {
+    const { reload } = useFrontload('todo', load)
+    reloads.push(reload)
+
+    return <div className='todo'>{props.label}</div>
+  }
+
+  const App = (props) => (
+    <Frontload isServer={false} noServerRender>
+      <ReloadableTodo label={props.label} />
+    </Frontload>
+  )
+
+  const rendered = mount(<App label='first' />)
+
+  return waitForFrontloads().then(() => {
+    rendered.setProps({ label: 'second' })
+
+    let reloading
+    act(() => { reloading = reloads[reloads.length - 1]() })
+
+    return advanceTimersUntilSettled(reloading)
+  }).then(() => {
+    expect(reloads.length).toBeGreaterThan(2)
+    reloads.forEach((reload) => expect(reload).toBe(reloads[0]))
+
+    expect(load.callCount).toBe(2)
+    expect(load.firstCall.args[0]).toMatchObject({ isMount: true, isUpdate: false })
+    expect(load.secondCall.args[0]).toMatchObject({ isMount: false, isUpdate: false })
+  })
+})
+
+test('useFrontload throws outside of the Frontload provider', () => {
+  expect(() => render(<Todo todoId='1' />)).toThrow('useFrontload(\'todo:1\') must be used in a component under the Frontload provider')
+})